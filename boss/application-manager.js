@@ -1,3 +1,209 @@
+/**
+ * Schema of an application's `application.json` manifest.
+ *
+ * Each node describes the expected value at its location in the manifest.
+ * - `type`: `string`, `boolean`, `number`, or `object`. When not provided, any type is accepted.
+ * - `required`: Key must exist
+ * - `nullable`: Value may be `null`
+ * - `pattern`: `RegExp` a `string` value must match
+ * - `enum`: List of accepted values
+ * - `properties`: Schema of each known key of an `object`. Unknown keys are an error.
+ * - `values`: Schema applied to every value of an `object` with arbitrary keys
+ * - `items`: Schema applied to every item of an `array`
+ */
+const ApplicationManifestSchema = {
+    type: "object",
+    properties: {
+        boss: {
+            type: "object",
+            required: true,
+            properties: {
+                version: {type: "string", required: true, pattern: /^\d+\.\d+\.\d+$/}
+            }
+        },
+        application: {
+            type: "object",
+            required: true,
+            properties: {
+                bundleId: {type: "string", required: true, pattern: /^[a-z0-9-]+(\.[a-z0-9-]+)+$/},
+                name: {type: "string", required: true},
+                version: {type: "string", required: true, pattern: /^\d+\.\d+\.\d+$/},
+                icon: {type: "string", nullable: true},
+                main: {type: "string", nullable: true},
+                endpoint: {type: "string"},
+                menu: {type: "string"},
+                author: {type: "string"},
+                copyright: {type: "string"},
+                system: {type: "boolean"},
+                passive: {type: "boolean"},
+                quitAutomatically: {type: "boolean"},
+                routes: {
+                    type: "object",
+                    values: {
+                        type: "object",
+                        properties: {
+                            controller: {type: "string", required: true},
+                            configure: {type: "array", items: {type: "string"}},
+                            history: {type: "boolean"}
+                        }
+                    }
+                },
+                search: {
+                    type: "object",
+                    properties: {
+                        endpoint: {type: "string", required: true, pattern: /^\//},
+                        open: {
+                            type: "array",
+                            required: true,
+                            items: {
+                                type: "object",
+                                properties: {
+                                    controller: {type: "string", required: true},
+                                    configure: {type: "array", items: {type: "string"}},
+                                    requires: {type: "array", items: {type: "string"}}
+                                }
+                            }
+                        }
+                    }
+                },
+                entitlements: {
+                    type: "object",
+                    properties: {
+                        network: {type: "array", items: {type: "string"}},
+                        clipboard: {type: "boolean"},
+                        storage: {type: "boolean"},
+                        fileSystem: {type: "array", items: {type: "string", pattern: /^\//}},
+                        openApplications: {type: "array", items: {type: "string", pattern: /^(\*|[a-z0-9-]+(\.[a-z0-9-]+)+)$/}},
+                        eval: {type: "boolean"}
+                    }
+                }
+            }
+        },
+        controllers: {
+            type: "object",
+            required: true,
+            values: {
+                type: "object",
+                properties: {
+                    modal: {type: "boolean"},
+                    singleton: {type: "boolean"},
+                    remote: {type: "boolean"},
+                    path: {type: "string", pattern: /^\//},
+                    renderer: {type: "string", enum: ["html"]},
+                    // Reserved
+                    size: {}
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate an `application.json` manifest.
+ *
+ * Every problem found is returned, rather than only the first, so that all
+ * problems can be corrected at once.
+ *
+ * @param {object} manifest - Parsed `application.json`
+ * @returns {object{path:message:}[]} List of problems. Empty if manifest is valid.
+ */
+function validateApplicationManifest(manifest) {
+    let problems = [];
+
+    function problem(path, message) {
+        problems.push({path: path, message: message});
+    }
+
+    // Returns type name prefixed with its article e.g. `an object`
+    function article(type) {
+        return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+    }
+
+    function typeOf(value) {
+        if (value === null) {
+            return "null";
+        }
+        if (Array.isArray(value)) {
+            return "array";
+        }
+        return typeof value;
+    }
+
+    function validate(schema, value, path) {
+        if (value === null) {
+            if (schema.nullable !== true && !isEmpty(schema.type)) {
+                problem(path, `must be ${article(schema.type)}, but is null`);
+            }
+            return;
+        }
+        if (!isEmpty(schema.type) && typeOf(value) !== schema.type) {
+            problem(path, `must be ${article(schema.type)}, but is ${article(typeOf(value))}`);
+            return;
+        }
+        if (!isEmpty(schema.enum) && !schema.enum.includes(value)) {
+            problem(path, `must be one of (${schema.enum.join(", ")}), but is (${value})`);
+        }
+        if (!isEmpty(schema.pattern) && !schema.pattern.test(value)) {
+            problem(path, `has an invalid format (${value})`);
+        }
+        if (!isEmpty(schema.properties)) {
+            for (let key in schema.properties) {
+                if (schema.properties[key].required === true && !(key in value)) {
+                    problem(`${path}.${key}`, "is required");
+                }
+            }
+            for (let key in value) {
+                if (!(key in schema.properties)) {
+                    problem(`${path}.${key}`, "is not a recognized key");
+                    continue;
+                }
+                validate(schema.properties[key], value[key], `${path}.${key}`);
+            }
+        }
+        if (!isEmpty(schema.values)) {
+            for (let key in value) {
+                validate(schema.values, value[key], `${path}.${key}`);
+            }
+        }
+        if (!isEmpty(schema.items)) {
+            for (let i = 0; i < value.length; i++) {
+                validate(schema.items, value[i], `${path}[${i}]`);
+            }
+        }
+    }
+
+    validate(ApplicationManifestSchema, manifest, "$");
+
+    // Controller references must refer to declared controllers. A `main` of
+    // `Application` refers to the app's `Application.html` delegate.
+    let controllers = isDictionary(manifest?.controllers) ? manifest.controllers : {};
+    for (let key of ["main", "menu"]) {
+        let name = manifest?.application?.[key];
+        if (key === "main" && name === "Application") {
+            continue;
+        }
+        if (isString(name) && !(name in controllers)) {
+            problem(`$.application.${key}`, `refers to controller (${name}) which is not declared in $.controllers`);
+        }
+    }
+    let routes = isDictionary(manifest?.application?.routes) ? manifest.application.routes : {};
+    for (let route in routes) {
+        let name = routes[route]?.controller;
+        if (isString(name) && !(name in controllers)) {
+            problem(`$.application.routes.${route}.controller`, `refers to controller (${name}) which is not declared in $.controllers`);
+        }
+    }
+    let searchTargets = manifest?.application?.search?.open;
+    for (let i = 0; i < (Array.isArray(searchTargets) ? searchTargets.length : 0); i++) {
+        let name = searchTargets[i]?.controller;
+        if (isString(name) && !(name in controllers)) {
+            problem(`$.application.search.open[${i}].controller`, `refers to controller (${name}) which is not declared in $.controllers`);
+        }
+    }
+
+    return problems;
+}
+
 /**
  * Provides application manager facilities.
  *
@@ -5,8 +211,11 @@
  *
  * This creates application menus, mini application states (buttons displayed in
  * OS bar that switch applications), etc.
+ *
+ * @param {OS} os - OS instance
+ * @param {ApplicationScopes} scopes - Evaluates application delegate scripts in their app's scope
  */
-function ApplicationManager(os) {
+function ApplicationManager(os, scopes) {
     // All BOSS apps. These apps can not be changed.
     // object{bundleId:{name:icon:system:}}
     let bossApps = {};
@@ -37,6 +246,9 @@ function ApplicationManager(os) {
     // Object{bundleId:HTMLElement}
     let appContexts = {};
 
+    // Bundle IDs of loaded apps, most recently used first
+    let recentApps = [];
+
     function init(apps) {
         bossApps = apps;
         registeredApps = apps;
@@ -122,10 +334,24 @@ function ApplicationManager(os) {
     }
     this.application = application;
 
+    /**
+     * Returns `true` if the app is a system app.
+     *
+     * Only apps installed with BOSS may be system apps.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {bool}
+     */
+    function isSystemApplication(bundleId) {
+        return bossApps[bundleId]?.system === true;
+    }
+    this.isSystemApplication = isSystemApplication;
+
     /**
      * Open a BOSS application.
      *
-     * TODO: Check if user has permission to access app.
+     * The calling app's `openApplications` entitlement is not checked. Apps
+     * must open other apps with `os.openApplication`, which checks it.
      *
      * If `MainController` is provided, it will show the controller regardless
      * of what value is set to `application.json:main`.
@@ -147,7 +373,7 @@ function ApplicationManager(os) {
             throw new Error(`Application (${bundleId}) is not installed. Make sure to register the app with the OS before attempting to open.`);
         }
 
-        let progressBar = await os.ui.showProgressBar(`Loading application ${registeredApps[bundleId].name}...`);
+        let progressBar = await os.ui.showProgressBar(os.l10n.string("loadingApplication", {name: registeredApps[bundleId].name}));
 
         function showError(msg, error) {
             if (!isEmpty(error)) {
@@ -165,9 +391,21 @@ function ApplicationManager(os) {
             showError(`Failed to load application bundle (${bundleId}) configuration.`, error);
         }
 
+        let problems = validateApplicationManifest(config);
+        if (isString(config?.application?.bundleId) && config.application.bundleId !== bundleId) {
+            problems.push({path: "$.application.bundleId", message: `must be the app's bundle ID (${bundleId})`});
+        }
+        if (!isEmpty(problems)) {
+            let list = problems.map(p => `${p.path} ${p.message}`);
+            showError(`Application bundle (${bundleId}) configuration is invalid:\n${list.join("\n")}`);
+        }
+
+        await os.l10n.load(bundleId);
+
         let objectId = makeObjectId();
         let app = new UIApplication(objectId, config);
         loadedApps[bundleId] = app;
+        os.notifications.post("io.bithead.boss.application.didOpen", {bundleId: bundleId});
 
         // Application may contain app delegate and menus
         let hasAppController = Object.keys(config.controllers).includes("Application");
@@ -198,6 +436,7 @@ function ApplicationManager(os) {
                 "app": {
                     bundleId: bundleId
                 },
+                "l10n": os.l10n.strings(bundleId),
                 "this": {
                     id: app.scriptId,
                     controller: `os.application('${bundleId}').proxy`
@@ -217,9 +456,10 @@ function ApplicationManager(os) {
                 let sc = document.createElement("script");
                 sc.id = app.scriptId; // Required to unload script later
                 sc.setAttribute("type", "text/javascript");
-                let inline = document.createTextNode(script.innerHTML + `\n//@ sourceURL=/application/${bundleId}`);
+                let inline = document.createTextNode(scopes.wrap(bundleId, script.innerHTML) + `\n//@ sourceURL=/application/${bundleId}`);
                 sc.appendChild(inline);
                 document.head.appendChild(sc);
+                os.resources.trackGlobal(bundleId, app.scriptId);
                 controller = new window[app.scriptId]();
             }
 
@@ -236,6 +476,7 @@ function ApplicationManager(os) {
 
                     os.ui.styleUIMenus(menus);
                     os.ui.addOSBarMenu(menus);
+                    os.shortcuts.registerMenus(menus, bundleId);
                 }
 
                 // Load app menus -- the menu that allows user to switch apps.
@@ -272,8 +513,9 @@ function ApplicationManager(os) {
             title.innerHTML = config.application.name;
             select.appendChild(title);
             let option = document.createElement("option");
-            // TODO: Add Command + Q in future
-            option.innerHTML = `Quit ${config.application.name}`;
+            option.innerHTML = os.l10n.string("quitApplication", {name: config.application.name});
+            // Displays the OS "Quit Application" shortcut
+            option.dataset.key = "alt+q";
             option.setAttribute("onclick", `os.closeApplication('${bundleId}');`);
             select.appendChild(option);
             menu.appendChild(select);
@@ -290,6 +532,23 @@ function ApplicationManager(os) {
             os.ui.addOSBarApp(win);
         }
 
+        os.fs.mountApplication(bundleId);
+
+        // Migrate user defaults stored by a previous version of the app. The
+        // app controller may implement `migrateDefaults(defaults, fromVersion, toVersion)`.
+        try {
+            if (os.entitlements.canStore(bundleId)) {
+                // The app may be opened by another app
+                let defaults = scopes.system(function () {
+                    return os.defaults(bundleId);
+                });
+                await defaults.migrate(app.version, controller?.migrateDefaults);
+            }
+        }
+        catch (error) {
+            console.error(`Failed to migrate user defaults for application (${bundleId})`, error);
+        }
+
         // Application delegate will manage which controller is shown, if any.
         // If a controller override is provided, do not return early.
         if (config.application.main == "Application" && isEmpty(mainController)) {
@@ -299,7 +558,7 @@ function ApplicationManager(os) {
             return app;
         }
 
-        progressBar?.setProgress(50, "Loading controller...");
+        progressBar?.setProgress(50, os.l10n.string("loadingController"));
 
         let main;
         let endpoint;
@@ -371,6 +630,8 @@ function ApplicationManager(os) {
         }
 
         app.applicationDidStop();
+        os.shortcuts.removeShortcuts(bundleId);
+        os.resources.release(bundleId);
 
         // Remove container. All windows should be hidden at this point.
         let container = document.getElementById(os.ui.appContainerId(bundleId));
@@ -380,6 +641,8 @@ function ApplicationManager(os) {
 
         delete closingApps[bundleId];
         delete loadedApps[bundleId];
+        recentApps = recentApps.filter(id => id !== bundleId);
+        os.notifications.post("io.bithead.boss.application.didClose", {bundleId: bundleId});
 
         // NOTE: This may be a passive app. That means, there may be no active
         // app at this point.
@@ -396,6 +659,55 @@ function ApplicationManager(os) {
     }
     this.closeApplication = closeApplication;
 
+    /**
+     * Returns `true` if the application is in the process of closing.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {bool}
+     */
+    function isClosingApplication(bundleId) {
+        return bundleId in closingApps;
+    }
+    this.isClosingApplication = isClosingApplication;
+
+    /**
+     * Force an application to quit.
+     *
+     * This quits an app that failed to close, or is stuck closing, because
+     * an error was thrown when it was stopped.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function forceQuitApplication(bundleId) {
+        delete closingApps[bundleId];
+        try {
+            closeApplication(bundleId);
+        }
+        catch (error) {
+            console.error(`Application (${bundleId}) failed to close`, error);
+        }
+        if (!(bundleId in loadedApps)) {
+            return;
+        }
+
+        // Remove what remains of the app
+        let app = loadedApps[bundleId];
+        for (let id of [app.menuId, app.scriptId, app.appMenuId, os.ui.appContainerId(bundleId)]) {
+            document.getElementById(id)?.remove();
+        }
+        os.shortcuts.removeShortcuts(bundleId);
+        os.resources.release(bundleId);
+        delete closingApps[bundleId];
+        delete loadedApps[bundleId];
+        recentApps = recentApps.filter(id => id !== bundleId);
+        os.notifications.post("io.bithead.boss.application.didClose", {bundleId: bundleId});
+        if (activeApplication?.bundleId == bundleId) {
+            activeApplication = null;
+        }
+        os.ui.focusTopWindow();
+    }
+    this.forceQuitApplication = forceQuitApplication;
+
     function blurActiveApplication() {
         if (isEmpty(activeApplication)) {
             return;
@@ -424,6 +736,52 @@ function ApplicationManager(os) {
         activeApplication = null;
     }
 
+    /**
+     * Returns the active application.
+     *
+     * @returns UIApplication?
+     */
+    function getActiveApplication() {
+        return activeApplication;
+    }
+    this.activeApplication = getActiveApplication;
+
+    /**
+     * Returns all loaded applications, in the order they were opened.
+     *
+     * @returns [UIApplication]
+     */
+    function loadedApplications() {
+        return Object.values(loadedApps);
+    }
+    this.loadedApplications = loadedApplications;
+
+    /**
+     * Returns all loaded applications, most recently used first.
+     *
+     * Apps that have never been switched to are last, in the order they
+     * were opened.
+     *
+     * @returns [UIApplication]
+     */
+    function recentApplications() {
+        let ids = [...recentApps, ...Object.keys(loadedApps).filter(id => !recentApps.includes(id))];
+        return ids.map(id => loadedApps[id]).filter(app => !isEmpty(app));
+    }
+    this.recentApplications = recentApplications;
+
+    /**
+     * Move app to the front of the most recently used apps.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function useApplication(bundleId) {
+        if (recentApps[0] === bundleId) {
+            return;
+        }
+        recentApps = [bundleId, ...recentApps.filter(id => id !== bundleId)];
+    }
+
     /**
      * Switch which application app menu is displayed.
      *
@@ -466,6 +824,8 @@ function ApplicationManager(os) {
             activeAppMenu.style.display = null;
         }
 
+        useApplication(bundleId);
+
         return true;
     }
     this.switchApplicationMenu = switchApplicationMenu;
@@ -508,13 +868,15 @@ function ApplicationManager(os) {
     function switchApplication(bundleId) {
         let app = loadedApps[bundleId];
         if (isEmpty(app)) {
-            os.ui.showAlert(`Application bundle (${bundleId}) is not loaded.`);
+            os.ui.showAlert(os.l10n.string("applicationNotLoaded", {bundleId: bundleId}));
             return;
         }
         if (app.system) {
             return;
         }
 
+        useApplication(bundleId);
+
         let windows = document.getElementById(os.ui.appContainerId(app.bundleId));
 
         // For passive apps, simply focus on the top-most window in its window group
@@ -561,4 +923,35 @@ function ApplicationManager(os) {
         app.applicationDidFocus();
     }
     this.switchApplication = switchApplication;
+
+    /**
+     * Hide all of an application's windows.
+     *
+     * The windows are shown again when the app is switched to.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function hideApplication(bundleId) {
+        let app = loadedApps[bundleId];
+        if (isEmpty(app) || app.system) {
+            return;
+        }
+
+        // Hidden windows may not receive keyboard shortcuts
+        if (os.ui.focusedWindow()?.ui.bundleId === bundleId) {
+            os.ui.blurTopWindow();
+        }
+
+        if (activeApplication?.bundleId === bundleId) {
+            // Blurring an app hides its windows and shows its OS bar button
+            blurActiveApplication();
+        }
+        else {
+            let windows = document.getElementById(os.ui.appContainerId(bundleId));
+            if (!isEmpty(windows)) {
+                windows.style.display = "none";
+            }
+        }
+    }
+    this.hideApplication = hideApplication;
 }
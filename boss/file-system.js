@@ -0,0 +1,563 @@
+/**
+ * Provides a virtual file system.
+ *
+ * Purpose: To give apps one abstraction for documents and attachments,
+ * regardless of where the files are stored.
+ *
+ * Backends are mounted at absolute paths. A path is resolved to the backend
+ * with the longest matching mount path. By default, the following are
+ * mounted:
+ * - `/home/<username>` - The signed in user's local files
+ * - `/apps/<bundleId>` - The signed in user's files for an app. Mounted when
+ *   the app is opened.
+ *
+ * ```
+ * await os.fs.write(`/home/${os.username}/notes.txt`, "Hello");
+ * let text = await os.fs.read(`/home/${os.username}/notes.txt`);
+ * ```
+ *
+ * Apps must declare the paths they access with the `fileSystem` entitlement.
+ * An app may always access `/apps/<bundleId>`.
+ *
+ * A backend must implement the following `async` functions. Paths provided
+ * to a backend are relative to its mount path and always start with `/`.
+ * - `stat(path)` - Returns `FileStat` or `null` if path does not exist
+ * - `readdir(path)` - Returns `[FileStat]`
+ * - `read(path)` - Returns `string` or `Blob`
+ * - `write(path, data)` - `data` is a `string` or `Blob`
+ * - `mkdir(path)`
+ * - `rename(from, to)`
+ * - `delete(path)` - Directories are deleted recursively
+ */
+
+/**
+ * Describes a file or directory.
+ *
+ * @param {string} path - Absolute path
+ * @param {string} type - `file` or `directory`
+ * @param {int} size - Size in bytes. `0` for directories.
+ * @param {Date?} modified - Date file was last modified
+ * @param {string?} mimeType - The file's MIME type, if known
+ */
+function FileStat(path, type, size, modified, mimeType) {
+    readOnly(this, "path", path);
+    readOnly(this, "name", path === "/" ? "/" : path.split("/").pop());
+    readOnly(this, "type", type);
+    readOnly(this, "size", size ?? 0);
+    readOnly(this, "modified", isEmpty(modified) ? null : new Date(modified));
+    readOnly(this, "mimeType", mimeType ?? null);
+    readOnly(this, "isDirectory", type === "directory");
+}
+
+/**
+ * Normalize an absolute path.
+ *
+ * Removes duplicate and trailing slashes, and resolves `.` and `..`.
+ *
+ * @param {string} path - Absolute path
+ * @returns {string}
+ * @throws if path is not absolute
+ */
+function normalizePath(path) {
+    if (!isString(path) || !path.startsWith("/")) {
+        throw new Error(`Path (${path}) must be absolute`);
+    }
+    let parts = [];
+    for (let part of path.split("/")) {
+        if (isEmpty(part) || part === ".") {
+            continue;
+        }
+        if (part === "..") {
+            parts.pop();
+            continue;
+        }
+        parts.push(part);
+    }
+    return "/" + parts.join("/");
+}
+
+/**
+ * Returns the parent directory of path.
+ *
+ * @param {string} path - Normalized absolute path
+ * @returns {string}
+ */
+function parentPath(path) {
+    let idx = path.lastIndexOf("/");
+    return idx <= 0 ? "/" : path.substring(0, idx);
+}
+
+/**
+ * Stores files in the browser's IndexedDB.
+ *
+ * @param {string} name - Name of database. Each backend should have its own name.
+ */
+function IndexedDBFileSystemBackend(name) {
+
+    const STORE = "entries";
+
+    let db = null;
+
+    // Wraps an `IDBRequest` in a `Promise`
+    function request(req) {
+        return new Promise(function(resolve, reject) {
+            req.onsuccess = function() { resolve(req.result); };
+            req.onerror = function() { reject(req.error); };
+        });
+    }
+
+    async function open() {
+        if (!isEmpty(db)) {
+            return db;
+        }
+        let req = indexedDB.open(`io.bithead.boss.fs.${name}`, 1);
+        req.onupgradeneeded = function() {
+            let store = req.result.createObjectStore(STORE, {keyPath: "path"});
+            store.createIndex("parent", "parent");
+        };
+        db = await request(req);
+        return db;
+    }
+
+    async function store(mode) {
+        let db = await open();
+        return db.transaction(STORE, mode).objectStore(STORE);
+    }
+
+    function makeStat(entry) {
+        return new FileStat(entry.path, entry.type, entry.size, entry.modified, entry.mimeType);
+    }
+
+    async function getEntry(path) {
+        if (path === "/") {
+            return {path: "/", type: "directory", size: 0, modified: null};
+        }
+        let entry = await request((await store("readonly")).get(path));
+        return entry ?? null;
+    }
+
+    // Returns all entries inside of directory, at any depth
+    async function descendants(path) {
+        let entries = await request((await store("readonly")).getAll());
+        let prefix = path === "/" ? "/" : `${path}/`;
+        return entries.filter(e => e.path.startsWith(prefix));
+    }
+
+    async function requireDirectory(path) {
+        let entry = await getEntry(path);
+        if (isEmpty(entry)) {
+            throw new Error(`Directory (${path}) does not exist`);
+        }
+        if (entry.type !== "directory") {
+            throw new Error(`Path (${path}) is not a directory`);
+        }
+    }
+
+    async function stat(path) {
+        let entry = await getEntry(path);
+        return isEmpty(entry) ? null : makeStat(entry);
+    }
+    this.stat = stat;
+
+    async function readdir(path) {
+        await requireDirectory(path);
+        let entries = await request((await store("readonly")).index("parent").getAll(path));
+        return entries.map(makeStat);
+    }
+    this.readdir = readdir;
+
+    async function read(path) {
+        let entry = await getEntry(path);
+        if (isEmpty(entry)) {
+            throw new Error(`File (${path}) does not exist`);
+        }
+        if (entry.type === "directory") {
+            throw new Error(`Path (${path}) is a directory`);
+        }
+        return entry.data;
+    }
+    this.read = read;
+
+    async function write(path, data) {
+        let entry = await getEntry(path);
+        if (entry?.type === "directory") {
+            throw new Error(`Path (${path}) is a directory`);
+        }
+        await requireDirectory(parentPath(path));
+        let isBlob = data instanceof Blob;
+        await request((await store("readwrite")).put({
+            path: path,
+            parent: parentPath(path),
+            type: "file",
+            data: data,
+            size: isBlob ? data.size : new Blob([data]).size,
+            modified: Date.now(),
+            mimeType: isBlob ? data.type : "text/plain"
+        }));
+    }
+    this.write = write;
+
+    async function mkdir(path) {
+        if (!isEmpty(await getEntry(path))) {
+            throw new Error(`Path (${path}) already exists`);
+        }
+        await requireDirectory(parentPath(path));
+        await request((await store("readwrite")).put({
+            path: path,
+            parent: parentPath(path),
+            type: "directory",
+            size: 0,
+            modified: Date.now()
+        }));
+    }
+    this.mkdir = mkdir;
+
+    async function rename(from, to) {
+        let entry = await getEntry(from);
+        if (isEmpty(entry)) {
+            throw new Error(`Path (${from}) does not exist`);
+        }
+        if (!isEmpty(await getEntry(to))) {
+            throw new Error(`Path (${to}) already exists`);
+        }
+        await requireDirectory(parentPath(to));
+
+        let entries = [entry, ...(entry.type === "directory" ? await descendants(from) : [])];
+        let s = await store("readwrite");
+        for (let e of entries) {
+            await request(s.delete(e.path));
+            e.path = to + e.path.substring(from.length);
+            e.parent = parentPath(e.path);
+            await request(s.put(e));
+        }
+    }
+    this.rename = rename;
+
+    async function _delete(path) {
+        if (path === "/") {
+            throw new Error("The root directory may not be deleted");
+        }
+        let entry = await getEntry(path);
+        if (isEmpty(entry)) {
+            throw new Error(`Path (${path}) does not exist`);
+        }
+        let entries = [entry, ...(entry.type === "directory" ? await descendants(path) : [])];
+        let s = await store("readwrite");
+        for (let e of entries) {
+            await request(s.delete(e.path));
+        }
+    }
+    this.delete = _delete;
+}
+
+/**
+ * Provides the `os.fs` API.
+ *
+ * @param {OS} os - OS instance
+ */
+function FileSystem(os) {
+
+    // Posted when a file or directory is created, changed, renamed, or deleted
+    const CHANGE_NOTIFICATION = "io.bithead.boss.fs.didChange";
+
+    // {mountPath:backend}
+    let mounts = {};
+
+    /**
+     * Mount a backend at path.
+     *
+     * @param {string} path - Absolute path e.g. `/home/tim`
+     * @param {object} backend - e.g. `IndexedDBFileSystemBackend`
+     * @throws if a backend is already mounted at path
+     */
+    function mount(path, backend) {
+        path = normalizePath(path);
+        if (path in mounts) {
+            throw new Error(`A file system is already mounted at (${path})`);
+        }
+        mounts[path] = backend;
+    }
+    this.mount = mount;
+
+    /**
+     * Unmount the backend at path.
+     *
+     * @param {string} path - Mount path
+     */
+    function unmount(path) {
+        delete mounts[normalizePath(path)];
+    }
+    this.unmount = unmount;
+
+    /**
+     * Returns all mount paths.
+     *
+     * @returns {string[]}
+     */
+    function mountPaths() {
+        return Object.keys(mounts);
+    }
+    this.mounts = mountPaths;
+
+    /**
+     * Returns the backend, and the path relative to the backend, for path.
+     *
+     * @param {string} path - Absolute path
+     * @returns object{backend:mountPath:path:}
+     * @throws if no backend is mounted at path
+     */
+    function resolve(path) {
+        path = normalizePath(path);
+        let mountPath = null;
+        for (let m in mounts) {
+            let isMatch = path === m || path.startsWith(m === "/" ? "/" : `${m}/`);
+            if (isMatch && (isEmpty(mountPath) || m.length > mountPath.length)) {
+                mountPath = m;
+            }
+        }
+        if (isEmpty(mountPath)) {
+            throw new Error(`No file system is mounted at path (${path})`);
+        }
+        let relative = mountPath === "/" ? path : path.substring(mountPath.length);
+        return {
+            backend: mounts[mountPath],
+            mountPath: mountPath,
+            path: isEmpty(relative) ? "/" : relative
+        };
+    }
+
+    // Converts a stat, relative to a mount, to an absolute stat
+    function absoluteStat(mountPath, stat) {
+        let path = mountPath === "/" ? stat.path : mountPath + (stat.path === "/" ? "" : stat.path);
+        return new FileStat(path, stat.type, stat.size, stat.modified, stat.mimeType);
+    }
+
+    function didChange(type, path, oldPath) {
+        os.notifications.post(CHANGE_NOTIFICATION, {type: type, path: path, oldPath: oldPath ?? null});
+    }
+
+    /**
+     * Returns information about a file or directory.
+     *
+     * @param {string} path - Absolute path
+     * @returns {FileStat?} `null` if path does not exist
+     */
+    async function stat(path) {
+        await os.entitlements.authorize(Entitlement.fileSystem, path);
+        let r = resolve(path);
+        let s = await r.backend.stat(r.path);
+        return isEmpty(s) ? null : absoluteStat(r.mountPath, s);
+    }
+    this.stat = stat;
+
+    /**
+     * Returns `true` if path exists.
+     *
+     * @param {string} path - Absolute path
+     * @returns {boolean}
+     */
+    async function exists(path) {
+        return !isEmpty(await stat(path));
+    }
+    this.exists = exists;
+
+    /**
+     * Returns the contents of a directory.
+     *
+     * @param {string} path - Absolute path of directory
+     * @returns {FileStat[]}
+     */
+    async function readdir(path) {
+        await os.entitlements.authorize(Entitlement.fileSystem, path);
+        let r = resolve(path);
+        let stats = await r.backend.readdir(r.path);
+        return stats.map(s => absoluteStat(r.mountPath, s));
+    }
+    this.readdir = readdir;
+
+    /**
+     * Read a file.
+     *
+     * @param {string} path - Absolute path of file
+     * @param {string?} format - `text` (default), `json`, or `blob`
+     * @returns {string|object|Blob}
+     */
+    async function read(path, format) {
+        await os.entitlements.authorize(Entitlement.fileSystem, path);
+        let r = resolve(path);
+        let data = await r.backend.read(r.path);
+        if (format === "blob") {
+            return data instanceof Blob ? data : new Blob([data]);
+        }
+        let text = data instanceof Blob ? await data.text() : data;
+        if (format === "json") {
+            return JSON.parse(text);
+        }
+        return text;
+    }
+    this.read = read;
+
+    /**
+     * Write a file. The file is created if it does not exist.
+     *
+     * @param {string} path - Absolute path of file
+     * @param {string|Blob|object} data - Objects are written as JSON
+     */
+    async function write(path, data) {
+        await os.entitlements.authorize(Entitlement.fileSystem, path);
+        let r = resolve(path);
+        let existed = !isEmpty(await r.backend.stat(r.path));
+        if (!isString(data) && !(data instanceof Blob)) {
+            data = JSON.stringify(data);
+        }
+        await r.backend.write(r.path, data);
+        didChange(existed ? "change" : "create", normalizePath(path));
+    }
+    this.write = write;
+
+    /**
+     * Create a directory.
+     *
+     * @param {string} path - Absolute path of directory
+     */
+    async function mkdir(path) {
+        await os.entitlements.authorize(Entitlement.fileSystem, path);
+        let r = resolve(path);
+        await r.backend.mkdir(r.path);
+        didChange("create", normalizePath(path));
+    }
+    this.mkdir = mkdir;
+
+    /**
+     * Rename, or move, a file or directory.
+     *
+     * Files may be moved between backends. Directories may only be moved
+     * within the same backend.
+     *
+     * @param {string} from - Absolute path of file or directory
+     * @param {string} to - New absolute path
+     * @throws if a directory is moved into itself
+     */
+    async function rename(from, to) {
+        // NOTE: Both are authorized before the first `await` so that the
+        // calling app is known
+        await Promise.all([
+            os.entitlements.authorize(Entitlement.fileSystem, from),
+            os.entitlements.authorize(Entitlement.fileSystem, to)
+        ]);
+        if (normalizePath(to).startsWith(`${normalizePath(from)}/`)) {
+            throw new Error(`Path (${from}) may not be moved into itself (${to})`);
+        }
+        let src = resolve(from);
+        let dst = resolve(to);
+        if (src.mountPath === dst.mountPath) {
+            await src.backend.rename(src.path, dst.path);
+        }
+        else {
+            let s = await src.backend.stat(src.path);
+            if (s?.type === "directory") {
+                throw new Error(`Directory (${from}) may not be moved to a different file system`);
+            }
+            await dst.backend.write(dst.path, await src.backend.read(src.path));
+            await src.backend.delete(src.path);
+        }
+        didChange("rename", normalizePath(to), normalizePath(from));
+    }
+    this.rename = rename;
+
+    /**
+     * Delete a file or directory. Directories are deleted recursively.
+     *
+     * @param {string} path - Absolute path
+     */
+    async function _delete(path) {
+        await os.entitlements.authorize(Entitlement.fileSystem, path);
+        let r = resolve(path);
+        await r.backend.delete(r.path);
+        didChange("delete", normalizePath(path));
+    }
+    this.delete = _delete;
+
+    /**
+     * Watch a file or directory for changes.
+     *
+     * Watching a directory includes changes made to everything inside of it.
+     * A change has the structure `{type, path, oldPath}` where `type` is
+     * `create`, `change`, `rename`, or `delete`.
+     *
+     * @param {string} path - Absolute path
+     * @param {function} fn - Called when a change is made `fn(change)`
+     * @param {string} owner - ID of window, or app bundle ID, that owns the watcher. The watcher is removed when the owner closes.
+     * @returns {string} Watcher ID
+     */
+    function watch(path, fn, owner) {
+        os.entitlements.check(Entitlement.fileSystem, path);
+        path = normalizePath(path);
+        let prefix = path === "/" ? "/" : `${path}/`;
+        function isWatched(p) {
+            return !isEmpty(p) && (p === path || p.startsWith(prefix));
+        }
+        return os.notifications.subscribe(CHANGE_NOTIFICATION, function(change) {
+            if (isWatched(change.path) || isWatched(change.oldPath)) {
+                fn(change);
+            }
+        }, owner);
+    }
+    this.watch = watch;
+
+    /**
+     * Stop watching a path.
+     *
+     * @param {string} id - Watcher ID returned by `watch`
+     */
+    function unwatch(id) {
+        os.notifications.unsubscribe(id);
+    }
+    this.unwatch = unwatch;
+
+    /**
+     * Mount the signed in user's home directory.
+     *
+     * The previous user's home directory, if any, is unmounted. Mounted app
+     * directories are re-mounted with the signed in user's files.
+     *
+     * @param {string} username - Signed in user
+     */
+    function mountHome(username) {
+        for (let path in mounts) {
+            if (path.startsWith("/home/")) {
+                unmount(path);
+            }
+            else if (path.startsWith("/apps/")) {
+                mounts[path] = applicationBackend(username, path.substring("/apps/".length));
+            }
+        }
+        mount(`/home/${username}`, new IndexedDBFileSystemBackend(`home.${username}`));
+    }
+    this.mountHome = mountHome;
+
+    /**
+     * Returns the backend that stores a user's files for an app.
+     *
+     * @param {string} username - User who owns the files
+     * @param {string} bundleId - App bundle ID
+     * @returns {IndexedDBFileSystemBackend}
+     */
+    function applicationBackend(username, bundleId) {
+        return new IndexedDBFileSystemBackend(`apps.${username}.${bundleId}`);
+    }
+
+    /**
+     * Mount an app's directory for the signed in user, if not already mounted.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function mountApplication(bundleId) {
+        let path = `/apps/${bundleId}`;
+        if (path in mounts) {
+            return;
+        }
+        mount(path, applicationBackend(os.username, bundleId));
+    }
+    this.mountApplication = mountApplication;
+}
@@ -122,16 +122,78 @@ function property(obj, name, get, set) {
     });
 }
 
+/**
+ * Create an observable model from a dictionary.
+ *
+ * Every key in `values` becomes a property (see `property`) on the returned
+ * object. Nested dictionaries are also made observable. When a property is
+ * assigned, `fn` is called with the full key path of the property.
+ *
+ * ```
+ * let model = observable({user: {name: "Joe"}}, function(keyPath, value, oldValue) {
+ *     console.log(`${keyPath} changed from ${oldValue} to ${value}`);
+ * });
+ * model.user.name = "Jane";
+ * // prints 'user.name changed from Joe to Jane'
+ * ```
+ *
+ * The returned object is sealed. Keys that do not exist in `values` may not
+ * be added later.
+ *
+ * @param {object} values - Dictionary of initial values
+ * @param {function} fn - Called when a value changes `fn(keyPath, value, oldValue)`
+ * @param {string?} keyPath - Key path of `values`, if nested in another model
+ * @returns {object} Observable model
+ */
+function observable(values, fn, keyPath) {
+    let obj = {};
+
+    function makeValue(value, path) {
+        if (isDictionary(value)) {
+            return observable(value, fn, path);
+        }
+        return value;
+    }
+
+    for (let key in values) {
+        let path = isEmpty(keyPath) ? key : `${keyPath}.${key}`;
+        let value = makeValue(values[key], path);
+        property(
+            obj, key,
+            function() {
+                return value;
+            },
+            function(newValue) {
+                let oldValue = value;
+                value = makeValue(newValue, path);
+                fn(path, value, oldValue);
+            }
+        );
+    }
+
+    return Object.seal(obj);
+}
+
 /**
  * Defines a delegate method.
  *
+ * When `arity` is provided, the number of arguments passed to the delegate
+ * method is enforced when the method is called.
+ *
+ * `defaultValue` is returned when an optional method is not implemented by
+ * the delegate. e.g. a `shouldCloseTab` method may default to `true`.
+ *
  * @param {string} name - Name of method
  * @param {bool} required - If `true`, enforces method to be implemented
+ * @param {int?} arity - The number of arguments the method must be called with
+ * @param {any?} defaultValue - Value returned if optional method is not implemented
  */
-function DelegateMethod(name, required) {
+function DelegateMethod(name, required, arity, defaultValue) {
     return {
         name: name,
-        required: required
+        required: required === true,
+        arity: isEmpty(arity) ? null : arity,
+        defaultValue: defaultValue
     }
 }
 
@@ -154,6 +216,21 @@ function Protocol() { }
  * new Object must be provided which implements only the methods defined
  * by the protocol.
  *
+ * Protocol methods forward all of their arguments to the delegate and return
+ * the delegate's return value. If the delegate method is `async`, the
+ * returned `Promise` may be awaited by the caller.
+ *
+ * ```
+ * let delegate = protocol(
+ *     "UITabsDelegate", this, "delegate",
+ *     [DelegateMethod("shouldCloseTab", false, 1, true), "didMove"]
+ * );
+ * if (await delegate.shouldCloseTab(tab)) { ... }
+ * delegate.didMove(from, to);
+ * ```
+ *
+ * Setting the delegate to `null` removes the delegate.
+ *
  * @param {string} name - Name of protocol
  * @param {string} obj - Object to assign public property to
  * @param {string} prop_name - Name of public property
@@ -163,24 +240,73 @@ function Protocol() { }
  * @throws if a required protocol method is not implemented
  */
 function protocol(name, obj, prop_name, _methods, init_fn) {
-    let methods = [];
-    let methodNames = [];
+    // {string:DelegateMethod}
+    let methods = {};
     for (let i = 0; i < _methods.length; i++) {
         let method = _methods[i];
         if (typeof method === "string") {
-            methods.push(DelegateMethod(method, false));
-            methodNames.push(method);
-        }
-        else {
-            methods.push(method);
-            methodNames.push(method.name);
+            method = DelegateMethod(method, false);
         }
+        methods[method.name] = method;
     }
 
     // Instance of object implementing protocol
-    let instance;
+    let instance = null;
     let proto = new Protocol();
 
+    /**
+     * Ensure the number of arguments matches the method's arity, if any.
+     *
+     * @param {DelegateMethod} method - The method being called
+     * @param {[any]} args - Arguments passed to method
+     * @throws if the number of arguments does not match arity
+     */
+    function checkArity(method, args) {
+        if (method.arity !== null && args.length !== method.arity) {
+            throw new Error(`Protocol (${name}) method (${method.name}) expects (${method.arity}) argument(s) but received (${args.length})`);
+        }
+    }
+
+    /**
+     * Create the function that is called when delegate does not implement
+     * `method`.
+     *
+     * @param {DelegateMethod} method - The method to provide default implementation for
+     * @returns function
+     */
+    function makeDefaultMethod(method) {
+        return function(...args) {
+            checkArity(method, args);
+            if (method.required) {
+                throw new Error(`Protocol (${name}) requires method (${method.name}) to be implemented, but no delegate is set`);
+            }
+            return method.defaultValue;
+        }
+    }
+
+    /**
+     * Create the function that forwards calls to the delegate's method.
+     *
+     * @param {DelegateMethod} method - The method to forward
+     * @param {object} delegate - The delegate implementing `method`
+     * @returns function
+     */
+    function makeDelegateMethod(method, delegate) {
+        return function(...args) {
+            checkArity(method, args);
+            return delegate[method.name](...args);
+        }
+    }
+
+    /**
+     * Reset all protocol methods to their default implementation.
+     */
+    function resetMethods() {
+        for (let methodName in methods) {
+            proto[methodName] = makeDefaultMethod(methods[methodName]);
+        }
+    }
+
     property(
         obj, prop_name,
         function() {
@@ -188,34 +314,40 @@ function protocol(name, obj, prop_name, _methods, init_fn) {
             return instance;
         },
         function(value) {
-            // Wrap and validate implemented methods
+            if (value === null || value === undefined) {
+                instance = null;
+                resetMethods();
+                return;
+            }
+
+            // Validate implemented methods
             // implemented: [string]
             let implemented = Object.keys(value);
             for (let i = 0; i < implemented.length; i++) {
-                let method = implemented[i];
-                if (!methodNames.includes(method)) {
-                    throw new Error(`Protocol (${name}) does not contain method (${method})`);
+                let methodName = implemented[i];
+                if (!(methodName in methods)) {
+                    throw new Error(`Protocol (${name}) does not contain method (${methodName})`);
                 }
-                proto[method] = function(values) {
-                    if (values === undefined) {
-                        value[method]();
-                    }
-                    else if (values.length === undefined) {
-                        value[method](values);
-                    }
-                    else {
-                        value[method](...values); // Untested
-                    }
+                if (typeof value[methodName] !== "function") {
+                    throw new Error(`Protocol (${name}) method (${methodName}) must be a function`);
                 }
             }
 
             // Ensure required methods are implemented
-            for (let i = 0; i < methods.length; i++) {
-                let method = methods[i];
-                if (method.required && !implemented.includes(method.name)) {
-                    throw new Error(`Protocol (${name}) requires method (${method}) to be implemented`);
+            for (let methodName in methods) {
+                let method = methods[methodName];
+                if (method.required && !implemented.includes(methodName)) {
+                    throw new Error(`Protocol (${name}) requires method (${methodName}) to be implemented`);
                 }
             }
+
+            // Wrap implemented methods. Unimplemented methods use their
+            // default implementation.
+            resetMethods();
+            for (let i = 0; i < implemented.length; i++) {
+                let methodName = implemented[i];
+                proto[methodName] = makeDelegateMethod(methods[methodName], value);
+            }
             instance = value;
 
             if (!isEmpty(init_fn)) {
@@ -225,12 +357,7 @@ function protocol(name, obj, prop_name, _methods, init_fn) {
     );
 
     // Set default implementation of proto
-    for (let i = 0; i < methods.length; i++) {
-        let method = methods[i];
-        if (!method.required) {
-            proto[method.name] = function() { }
-        }
-    }
+    resetMethods();
 
     return proto;
 }
@@ -248,6 +375,240 @@ function call(fn) {
     }
 }
 
+/**
+ * Records actions so that they may be undone and redone.
+ *
+ * An action is registered with the function that reverts it (`undo`) and
+ * the function that applies it again (`redo`). Both functions may be `async`.
+ *
+ * ```
+ * let previousName = project.name;
+ * await saveProject(project.id, name);
+ * undoManager.register("Rename Project", async function() {
+ *     await saveProject(project.id, previousName);
+ * }, async function() {
+ *     await saveProject(project.id, name);
+ * });
+ * ```
+ *
+ * Actions registered between `beginGroup` and `endGroup` are undone, and
+ * redone, as a single action. Actions registered while undoing or redoing
+ * are ignored. Registering a new action clears the redo stack.
+ *
+ * @param {int?} levels - Maximum number of actions that may be undone. Default is 50.
+ */
+function UndoManager(levels) {
+    let maxLevels = isEmpty(levels) ? 50 : levels;
+
+    // Each item is a group of actions. object{name:string, actions:[object{undo:redo:}]}
+    let undoStack = [];
+    let redoStack = [];
+
+    // Group that actions are being registered to
+    let openGroup = null;
+    // Number of times `beginGroup` was called. Allows groups to be nested.
+    let groupDepth = 0;
+
+    // `true` while undoing or redoing
+    let busy = false;
+
+    let delegate = protocol(
+        "UndoManagerDelegate", this, "delegate",
+        ["didChangeUndoStack"]
+    );
+
+    function push(stack, group) {
+        stack.push(group);
+        if (stack.length > maxLevels) {
+            stack.shift();
+        }
+    }
+
+    /**
+     * Begin a group of actions that are undone as a single action.
+     *
+     * Groups may be nested. The name of the outer-most group is used.
+     *
+     * @param {string} name - Name of action e.g. `Delete Test Case`
+     */
+    function beginGroup(name) {
+        groupDepth += 1;
+        if (groupDepth === 1) {
+            openGroup = {name: name, actions: []};
+        }
+    }
+    this.beginGroup = beginGroup;
+
+    /**
+     * End a group of actions.
+     *
+     * @throws if a group was not started
+     */
+    function endGroup() {
+        if (groupDepth === 0) {
+            throw new Error("UndoManager endGroup called without a matching beginGroup");
+        }
+        groupDepth -= 1;
+        if (groupDepth > 0) {
+            return;
+        }
+        let group = openGroup;
+        openGroup = null;
+        if (isEmpty(group.actions)) {
+            return;
+        }
+        push(undoStack, group);
+        redoStack = [];
+        delegate.didChangeUndoStack();
+    }
+    this.endGroup = endGroup;
+
+    /**
+     * Register all actions made by `fn` as a single action.
+     *
+     * @param {string} name - Name of action
+     * @param {async function} fn - Function that performs, and registers, the actions
+     */
+    async function group(name, fn) {
+        beginGroup(name);
+        try {
+            await fn();
+        }
+        finally {
+            endGroup();
+        }
+    }
+    this.group = group;
+
+    /**
+     * Register an action that may be undone.
+     *
+     * @param {string} name - Name of action displayed in menus e.g. `Delete Test Case`
+     * @param {function} undo - Reverts the action
+     * @param {function?} redo - Applies the action again. If not provided, action may not be redone.
+     */
+    function register(name, undo, redo) {
+        if (typeof undo !== "function") {
+            throw new Error(`Undo action (${name}) must provide an undo function`);
+        }
+        if (busy) {
+            return;
+        }
+        let action = {undo: undo, redo: redo};
+        if (!isEmpty(openGroup)) {
+            openGroup.actions.push(action);
+            return;
+        }
+        push(undoStack, {name: name, actions: [action]});
+        redoStack = [];
+        delegate.didChangeUndoStack();
+    }
+    this.register = register;
+
+    /**
+     * Returns `true` if there is an action that may be undone.
+     */
+    function canUndo() {
+        return !busy && undoStack.length > 0;
+    }
+    this.canUndo = canUndo;
+
+    /**
+     * Returns `true` if there is an action that may be redone.
+     */
+    function canRedo() {
+        if (busy || redoStack.length === 0) {
+            return false;
+        }
+        let group = redoStack[redoStack.length - 1];
+        return group.actions.every(action => typeof action.redo === "function");
+    }
+    this.canRedo = canRedo;
+
+    /**
+     * Returns the name of the action that will be undone.
+     *
+     * @returns {string?}
+     */
+    function undoName() {
+        return undoStack[undoStack.length - 1]?.name ?? null;
+    }
+    this.undoName = undoName;
+
+    /**
+     * Returns the name of the action that will be redone.
+     *
+     * @returns {string?}
+     */
+    function redoName() {
+        return redoStack[redoStack.length - 1]?.name ?? null;
+    }
+    this.redoName = redoName;
+
+    /**
+     * Undo the last action.
+     *
+     * Actions in a group are undone in the reverse order they were
+     * registered. If an action fails, the group is removed from the stack.
+     *
+     * @throws if an undo function fails
+     */
+    async function undo() {
+        if (!canUndo()) {
+            return;
+        }
+        let group = undoStack.pop();
+        busy = true;
+        delegate.didChangeUndoStack();
+        try {
+            for (let i = group.actions.length - 1; i >= 0; i--) {
+                await group.actions[i].undo();
+            }
+            push(redoStack, group);
+        }
+        finally {
+            busy = false;
+            delegate.didChangeUndoStack();
+        }
+    }
+    this.undo = undo;
+
+    /**
+     * Redo the last action that was undone.
+     *
+     * @throws if a redo function fails
+     */
+    async function redo() {
+        if (!canRedo()) {
+            return;
+        }
+        let group = redoStack.pop();
+        busy = true;
+        delegate.didChangeUndoStack();
+        try {
+            for (let i = 0; i < group.actions.length; i++) {
+                await group.actions[i].redo();
+            }
+            push(undoStack, group);
+        }
+        finally {
+            busy = false;
+            delegate.didChangeUndoStack();
+        }
+    }
+    this.redo = redo;
+
+    /**
+     * Remove all actions.
+     */
+    function removeAll() {
+        undoStack = [];
+        redoStack = [];
+        delegate.didChangeUndoStack();
+    }
+    this.removeAll = removeAll;
+}
+
 /**
  * Generate an 8 character object ID that starts with a character.
  *
@@ -273,6 +634,7 @@ function makeObjectId() {
  *
  * @param {object} obj - Dictionary
  * @param {string} path - String path that identfies key in nested dictionary
+ * @returns {any?} `undefined` if any key in the path does not exist
  */
 function getValue(obj, keyPath) {
     if (typeof(keyPath) !== 'string') {
@@ -282,26 +644,561 @@ function getValue(obj, keyPath) {
 
     let path = keyPath.split('.')
     return path.reduce(function(x, y) {
+        if (x === null || x === undefined) {
+            return undefined;
+        }
         return x[y];
     }, obj);
 }
 
+/**
+ * Escape HTML special characters in string.
+ *
+ * @param {string} value - String to escape
+ * @returns {string}
+ */
+function escapeHTML(value) {
+    return `${value}`
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Filters available to all templates. {name:function(value, ...args)}
+const templateFilters = {
+    /**
+     * Transform string to uppercase.
+     */
+    uppercase: function(value) {
+        return isEmpty(value) ? "" : `${value}`.toUpperCase();
+    },
+
+    /**
+     * Transform string to lowercase.
+     */
+    lowercase: function(value) {
+        return isEmpty(value) ? "" : `${value}`.toLowerCase();
+    },
+
+    /**
+     * Returns `defaultValue` if value is empty.
+     */
+    default: function(value, defaultValue) {
+        return isEmpty(value) ? defaultValue : value;
+    },
+
+    /**
+     * Format a date, timestamp, or date string.
+     *
+     * @param {string?} style - `date` (default), `time` or `datetime`
+     */
+    date: function(value, style) {
+        if (isEmpty(value)) {
+            return "";
+        }
+        let date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            console.warn(`Template date filter received an invalid date (${value})`);
+            return "";
+        }
+        if (style === "time") {
+            return date.toLocaleTimeString();
+        }
+        else if (style === "datetime") {
+            return date.toLocaleString();
+        }
+        return date.toLocaleDateString();
+    },
+
+    /**
+     * Escape HTML special characters.
+     */
+    escape: function(value) {
+        return isEmpty(value) ? "" : escapeHTML(value);
+    },
+
+    /**
+     * Encode value as JSON.
+     */
+    json: function(value) {
+        return JSON.stringify(value);
+    }
+};
+
+/**
+ * Register a filter that may be used in all templates.
+ *
+ * ```
+ * registerTemplateFilter("status", function(value) { ... });
+ * // $(result.status | status)
+ * ```
+ *
+ * @param {string} name - Name of filter
+ * @param {function} fn - Filter function `fn(value, ...args)`. Returns transformed value.
+ */
+function registerTemplateFilter(name, fn) {
+    if (name in templateFilters) {
+        console.warn(`Overwriting template filter (${name})`);
+    }
+    templateFilters[name] = fn;
+}
+
+// Partials available to all templates. {name:Template}
+const templatePartials = {};
+
+/**
+ * Register a partial that may be included in all templates.
+ *
+ * @param {string} name - Name of partial
+ * @param {string} str - Template string
+ */
+function registerTemplatePartial(name, str) {
+    templatePartials[name] = new Template(str);
+}
+
+/**
+ * Provides a simple template language.
+ *
+ * Values
+ * - `$(user.name)` - Value at key path. Missing keys render an empty string.
+ * - `$(user.name | uppercase)` - Apply filters. Filters may be chained.
+ * - `$(user.name | default:"Guest")` - Filter with arguments. Separate arguments with `,`.
+ *
+ * Built-in filters: `uppercase`, `lowercase`, `default`, `date`, `escape`, `json`.
+ * See `registerTemplateFilter` to add filters.
+ *
+ * Conditionals
+ * ```
+ * $(#if user.admin)...$(#elseif user.verified)...$(#else)...$(/if)
+ * $(#if !user.admin)...$(/if)
+ * $(#if result.status == 0)...$(/if)
+ * ```
+ * Supported operators: `==`, `!=`, `<`, `<=`, `>`, `>=`. Operands may be key
+ * paths, numbers, quoted strings, `true`, `false` or `null`. Empty strings,
+ * lists and dictionaries are falsy.
+ *
+ * Loops
+ * ```
+ * $(#for user in users)$(loop.index): $(user.name)$(#else)No users$(/for)
+ * ```
+ * `loop` provides `index`, `first`, `last` and `length`. The `#else` section
+ * is rendered if the list is empty.
+ *
+ * Partials
+ * ```
+ * $(#partial user-row)<li>$(user.name)</li>$(/partial)
+ * $(#for user in users)$(> user-row)$(/for)
+ * ```
+ * Partials defined in a template are not rendered where they are defined.
+ * They may be included with `$(> name)`, which renders the partial with the
+ * current values, or rendered directly with `renderPartial`.
+ *
+ * @param {string} str - Template string
+ * @param {[object]?} _nodes - Parsed nodes. Used internally to create partials.
+ * @throws if template has unbalanced or invalid tags
+ */
+function Template(str, _nodes) {
+
+    // Partials defined in this template {name:Template}
+    let partials = {};
+    readOnly(this, "partials", partials);
+
+    /**
+     * Split string on `separator`, ignoring separators inside quotes.
+     */
+    function splitOutsideQuotes(value, separator) {
+        let parts = [];
+        let current = "";
+        let quote = null;
+        for (let i = 0; i < value.length; i++) {
+            let c = value[i];
+            if (quote !== null) {
+                if (c === quote) {
+                    quote = null;
+                }
+            }
+            else if (c === '"' || c === "'") {
+                quote = c;
+            }
+            else if (c === separator) {
+                parts.push(current);
+                current = "";
+                continue;
+            }
+            current += c;
+        }
+        parts.push(current);
+        return parts;
+    }
+
+    /**
+     * Returns list of text and tag tokens.
+     *
+     * A tag starts with `$(` and ends with the first `)` that is not inside
+     * quotes. Tags that are not closed are treated as text.
+     *
+     * @returns [object{type:value:}]
+     */
+    function tokenize(str) {
+        let tokens = [];
+        let pos = 0;
+        while (pos < str.length) {
+            let start = str.indexOf("$(", pos);
+            if (start < 0) {
+                break;
+            }
+            let quote = null;
+            let end = -1;
+            for (let i = start + 2; i < str.length; i++) {
+                let c = str[i];
+                if (quote !== null) {
+                    if (c === quote) {
+                        quote = null;
+                    }
+                }
+                else if (c === '"' || c === "'") {
+                    quote = c;
+                }
+                else if (c === ")") {
+                    end = i;
+                    break;
+                }
+            }
+            if (end < 0) {
+                break;
+            }
+            if (start > pos) {
+                tokens.push({type: "text", value: str.substring(pos, start)});
+            }
+            tokens.push({type: "tag", value: str.substring(start + 2, end).trim()});
+            pos = end + 1;
+        }
+        if (pos < str.length) {
+            tokens.push({type: "text", value: str.substring(pos)});
+        }
+        return tokens;
+    }
+
+    /**
+     * Parse an operand: a literal or key path.
+     */
+    function parseOperand(value) {
+        value = value.trim();
+        if (value.length > 1 && (value[0] === '"' || value[0] === "'") && value[value.length - 1] === value[0]) {
+            return {literal: value.substring(1, value.length - 1)};
+        }
+        else if (value === "true") {
+            return {literal: true};
+        }
+        else if (value === "false") {
+            return {literal: false};
+        }
+        else if (value === "null") {
+            return {literal: null};
+        }
+        else if (value !== "" && !isNaN(Number(value))) {
+            return {literal: Number(value)};
+        }
+        return {path: value};
+    }
+
+    /**
+     * Parse a value expression e.g. `user.name | default:"Guest"`.
+     */
+    function parseExpression(value) {
+        let parts = splitOutsideQuotes(value, "|");
+        let filters = [];
+        for (let i = 1; i < parts.length; i++) {
+            let part = parts[i].trim();
+            let idx = part.indexOf(":");
+            if (idx < 0) {
+                filters.push({name: part, args: []});
+                continue;
+            }
+            let args = splitOutsideQuotes(part.substring(idx + 1), ",").map(parseOperand);
+            filters.push({name: part.substring(0, idx).trim(), args: args});
+        }
+        return {operand: parseOperand(parts[0]), filters: filters};
+    }
+
+    /**
+     * Parse a condition e.g. `!user.admin` or `result.status == 0`.
+     */
+    function parseCondition(value) {
+        let match = value.match(/^(.+?)\s*(==|!=|<=|>=|<|>)\s*(.+)$/);
+        if (!isEmpty(match)) {
+            return {
+                left: parseOperand(match[1]),
+                operator: match[2],
+                right: parseOperand(match[3])
+            };
+        }
+        let negate = value.startsWith("!");
+        if (negate) {
+            value = value.substring(1);
+        }
+        return {left: parseOperand(value), negate: negate};
+    }
+
+    /**
+     * Parse tokens into a tree of nodes.
+     *
+     * @param {[object]} tokens - Tokens returned by `tokenize`
+     * @returns [object] Nodes
+     */
+    function parse(tokens) {
+        let root = {type: "root", body: []};
+        // Stack of open blocks. `body` is where child nodes are added.
+        let stack = [root];
+
+        function current() {
+            return stack[stack.length - 1];
+        }
+
+        function close(type, tag) {
+            let block = current();
+            if (block.type === "root") {
+                throw new Error(`Template tag ($(${tag})) has no open #${type}`);
+            }
+            else if (block.type !== type) {
+                throw new Error(`Template tag ($(${tag})) found while #${block.type} is open`);
+            }
+            stack.pop();
+            return block;
+        }
+
+        for (let i = 0; i < tokens.length; i++) {
+            let token = tokens[i];
+            if (token.type === "text") {
+                current().body.push(token);
+                continue;
+            }
+
+            let tag = token.value;
+            if (tag.startsWith("#if ")) {
+                let block = {type: "if", branches: [], elseBody: null};
+                block.body = [];
+                block.branches.push({condition: parseCondition(tag.substring(4).trim()), body: block.body});
+                current().body.push(block);
+                stack.push(block);
+            }
+            else if (tag.startsWith("#elseif ")) {
+                let block = current();
+                if (block.type !== "if" || block.elseBody !== null) {
+                    throw new Error(`Template tag ($(${tag})) must be inside an #if`);
+                }
+                block.body = [];
+                block.branches.push({condition: parseCondition(tag.substring(8).trim()), body: block.body});
+            }
+            else if (tag === "#else") {
+                let block = current();
+                if ((block.type !== "if" && block.type !== "for") || block.elseBody !== null) {
+                    throw new Error("Template tag ($(#else)) must be inside an #if or #for");
+                }
+                block.elseBody = [];
+                block.body = block.elseBody;
+            }
+            else if (tag === "/if") {
+                close("if", tag);
+            }
+            else if (tag.startsWith("#for ")) {
+                let match = tag.match(/^#for\s+([\w$]+)\s+in\s+(.+)$/);
+                if (isEmpty(match)) {
+                    throw new Error(`Invalid template loop ($(${tag})). Expected $(#for item in items).`);
+                }
+                let block = {type: "for", name: match[1], list: parseExpression(match[2]), elseBody: null};
+                block.body = [];
+                block.loopBody = block.body;
+                current().body.push(block);
+                stack.push(block);
+            }
+            else if (tag === "/for") {
+                close("for", tag);
+            }
+            else if (tag.startsWith("#partial ")) {
+                let block = {type: "partial", name: tag.substring(9).trim(), body: []};
+                stack.push(block);
+            }
+            else if (tag === "/partial") {
+                let block = close("partial", tag);
+                partials[block.name] = new Template(null, block.body);
+            }
+            else if (tag.startsWith(">")) {
+                current().body.push({type: "include", name: tag.substring(1).trim()});
+            }
+            else if (tag.startsWith("#") || tag.startsWith("/")) {
+                throw new Error(`Unknown template tag ($(${tag}))`);
+            }
+            else {
+                current().body.push({type: "value", expression: parseExpression(tag)});
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Template has an unclosed #${current().type}`);
+        }
+
+        return root.body;
+    }
+
+    let nodes = isEmpty(_nodes) ? parse(tokenize(emptyString(str))) : _nodes;
+
+    function evaluateOperand(operand, obj) {
+        if ("literal" in operand) {
+            return operand.literal;
+        }
+        return getValue(obj, operand.path);
+    }
+
+    function evaluateExpression(expression, obj) {
+        let value = evaluateOperand(expression.operand, obj);
+        for (let i = 0; i < expression.filters.length; i++) {
+            let filter = expression.filters[i];
+            let fn = templateFilters[filter.name];
+            if (isEmpty(fn)) {
+                console.warn(`Unknown template filter (${filter.name})`);
+                continue;
+            }
+            let args = filter.args.map(arg => evaluateOperand(arg, obj));
+            value = fn(value, ...args);
+        }
+        return value;
+    }
+
+    function isTruthy(value) {
+        return value !== false && value !== 0 && !isEmpty(value);
+    }
+
+    function evaluateCondition(condition, obj) {
+        let left = evaluateOperand(condition.left, obj);
+        if (isEmpty(condition.operator)) {
+            let truthy = isTruthy(left);
+            return condition.negate ? !truthy : truthy;
+        }
+        let right = evaluateOperand(condition.right, obj);
+        switch (condition.operator) {
+        case "==":
+            return left == right;
+        case "!=":
+            return left != right;
+        case "<":
+            return left < right;
+        case "<=":
+            return left <= right;
+        case ">":
+            return left > right;
+        case ">=":
+            return left >= right;
+        }
+        return false;
+    }
+
+    function renderNodes(nodes, obj, _partials) {
+        let out = "";
+        for (let i = 0; i < nodes.length; i++) {
+            let node = nodes[i];
+            if (node.type === "text") {
+                out += node.value;
+            }
+            else if (node.type === "value") {
+                let value = evaluateExpression(node.expression, obj);
+                out += (value === null || value === undefined) ? "" : value;
+            }
+            else if (node.type === "if") {
+                let body = node.elseBody;
+                for (let j = 0; j < node.branches.length; j++) {
+                    if (evaluateCondition(node.branches[j].condition, obj)) {
+                        body = node.branches[j].body;
+                        break;
+                    }
+                }
+                if (body !== null) {
+                    out += renderNodes(body, obj, _partials);
+                }
+            }
+            else if (node.type === "for") {
+                let list = evaluateExpression(node.list, obj);
+                if (isEmpty(list) || typeof list[Symbol.iterator] !== "function") {
+                    if (node.elseBody !== null) {
+                        out += renderNodes(node.elseBody, obj, _partials);
+                    }
+                    continue;
+                }
+                let items = Array.from(list);
+                for (let j = 0; j < items.length; j++) {
+                    let scope = Object.assign({}, obj);
+                    scope[node.name] = items[j];
+                    scope.loop = {
+                        index: j,
+                        first: j === 0,
+                        last: j === items.length - 1,
+                        length: items.length
+                    };
+                    out += renderNodes(node.loopBody, scope, _partials);
+                }
+            }
+            else if (node.type === "include") {
+                let partial = _partials[node.name] ?? templatePartials[node.name];
+                if (isEmpty(partial)) {
+                    console.warn(`Template partial (${node.name}) does not exist`);
+                    continue;
+                }
+                out += partial.render(obj, _partials);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Render template with values in `obj`.
+     *
+     * @param {object} obj - Dictionary that contains values
+     * @param {object?} _partials - Additional partials {name:Template}
+     * @returns {string}
+     */
+    function render(obj, _partials) {
+        return renderNodes(nodes, obj, Object.assign({}, _partials, partials));
+    }
+    this.render = render;
+
+    /**
+     * Render a partial defined in this template.
+     *
+     * @param {string} name - Name of partial
+     * @param {object} obj - Dictionary that contains values
+     * @returns {string}
+     * @throws if partial does not exist
+     */
+    function renderPartial(name, obj) {
+        let partial = partials[name] ?? templatePartials[name];
+        if (isEmpty(partial)) {
+            throw new Error(`Template partial (${name}) does not exist`);
+        }
+        return partial.render(obj, partials);
+    }
+    this.renderPartial = renderPartial;
+}
+
 /**
  * Interpolate tokens in string with values in object.
  *
  * ```
  * let person = {person: {name: 'Joe'}};
- * let name = 'My name is, ${person.name}.';
+ * let name = 'My name is, $(person.name).';
  * console.log(interpolate(name, person));
  * // prints 'My name is, Joe.'
  * ```
  *
+ * See `Template` for the full template language.
+ *
  * @param {string} str - String that contains tokens to interpolate
  * @param {object} obj - Dictionary that contains token values
  * @returns {string}
  */
 function interpolate(str, obj) {
-    return str.replace(/\$\((.*?)\)/g, (x, g) => getValue(obj, g));
+    return new Template(str).render(obj);
 }
 
 /**
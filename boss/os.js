@@ -18,6 +18,7 @@ function MainController(name, endpoint) {
  * - Running applications
  * - Access to UI API
  * - Access to Network API
+ * - Access to file system
  * - Logging in and out
  * - Clock
  */
@@ -26,8 +27,25 @@ function OS() {
     // Displayed in OS menu, settings, etc.
     this.username = "";
 
+    // Provides each app's scripts with their own handle to the OS. This is
+    // private to the OS so that apps may not create handles for other apps.
+    let scopes = new ApplicationScopes(this);
+
+    this.log = new SystemLog();
+    this.entitlements = new Entitlements(this, scopes);
+    this.resources = new ResourceTracker(this);
+    this.crashReporter = new CrashReporter(this);
+    this.l10n = new Localization(this);
     this.network = new Network(this);
-    this.ui = new UI(this);
+    this.fs = new FileSystem(this);
+    this.notifications = new NotificationCenter();
+    this.tray = new NotificationTray(this);
+    this.search = new GlobalSearch(this);
+    this.shortcuts = new KeyboardShortcuts(this);
+    this.pasteboard = new Pasteboard(this);
+    this.session = new DesktopSession(this);
+    this.router = new Router(this);
+    this.ui = new UI(this, scopes);
 
     // Indicates that the OS is loaded. Some facilities will not work until
     // the OS if fully loaded. Such as showing system modals, progress bars,
@@ -42,7 +60,7 @@ function OS() {
     this.isLoaded = isLoaded;
 
     // Responsible for opening, closing, and switching applications
-    let app = new ApplicationManager(this);
+    let app = new ApplicationManager(this, scopes);
 
     /**
      * Initialize the BOSS OS.
@@ -50,11 +68,21 @@ function OS() {
      * Loads installed apps and opens the BOSS app.
      */
     async function init() {
+        this.log.captureConsole();
+        this.crashReporter.init();
         this.ui.init();
+        this.shortcuts.init();
+        this.pasteboard.init();
+        this.session.init();
+        this.router.init();
+        this.tray.init();
         startClock();
 
         // Load installed apps
         try {
+            await this.l10n.load("io.bithead.boss");
+            localizeSystemMenu();
+            this.search.init();
             apps = await os.network.get("/boss/app/installed.json");
             app.init(apps);
             await os.openApplication("io.bithead.boss");
@@ -66,248 +94,4165 @@ function OS() {
     }
     this.init = init;
 
-    // Original reference to console.log
-    let originalLogger;
-    // Wraps and calls the patched callback fn as well as the original logger
-    let currentLogger;
+    /**
+     * Show the system menu's options in the user's language.
+     *
+     * The OS bar is styled before the strings are loaded.
+     */
+    function localizeSystemMenu() {
+        let options = {
+            "show-clipboard-history": "clipboardHistory",
+            "show-activity-monitor": "activityMonitor"
+        };
+        for (let id in options) {
+            let option = document.getElementById(id);
+            if (option !== null) {
+                option.innerHTML = os.l10n.string(options[id]);
+            }
+        }
+    }
+
+    // Subscription made by `patchSystemLogger`
+    let patchedLoggerId;
+    // Tracks the app that patched the system logger, if any
+    let patchedLoggerResource;
 
     /**
-     * Patches `console.log` function so that logs may be observed from OS.
+     * Observe system logs.
      *
      * Only one function may patch the system logger at a time. When finished,
      * please call `unpatchSystemLogger`.
      *
-     * @param {function} fn - The function to call when `console.log` is called
+     * @deprecated Use `os.log.subscribe`, which supports many subscribers.
+     * @param {function} fn - The function to call with every log message
+     */
+    function patchSystemLogger(fn) {
+        unpatchSystemLogger();
+        patchedLoggerId = os.log.subscribe(function (entry) {
+            fn(entry.message);
+        });
+        let bundleId = os.callingApplication()?.bundleId;
+        if (!isEmpty(bundleId)) {
+            patchedLoggerResource = os.resources.track(bundleId, "logger", "Patched system logger", unpatchSystemLogger);
+        }
+    }
+    this.patchSystemLogger = patchSystemLogger;
+
+    /**
+     * Stop observing system logs.
+     *
+     * @deprecated Use `os.log.unsubscribe`
+     */
+    function unpatchSystemLogger() {
+        if (isEmpty(patchedLoggerId)) {
+            return;
+        }
+        os.log.unsubscribe(patchedLoggerId);
+        patchedLoggerId = null;
+        os.resources.untrack(patchedLoggerResource);
+        patchedLoggerResource = null;
+    }
+    this.unpatchSystemLogger = unpatchSystemLogger;
+
+    /**
+     * Display a non-blocking notification.
+     *
+     * See `NotificationTray.notify` for options.
+     *
+     * @param {object} options - Notification `{title, body, actions, handler, bundleId}`
+     * @returns {object} Notification
+     */
+    function notify(options) {
+        return this.tray.notify(options);
+    }
+    this.notify = notify;
+
+    /**
+     * Log user out of system.
+     */
+    function logOut() {
+        os.ui.showDeleteModal(os.l10n.string("logOutConfirm"), null, async function() {
+            os.network.get('/account/signout');
+        });
+    }
+    this.logOut = logOut;
+
+    /**
+     * Sign user into system.
+     *
+     * @param {string} username - The username that is signed in
+     * @param {bool?} guest - `true` if the user is not signed in to an account
+     */
+    function signIn(username, guest) {
+        this.username = username;
+        this.fs.mountHome(username);
+        this.ui.dock.render();
+
+        // Update the OS bar
+        var option = document.getElementById("log-out-of-system");
+        if (option === null) {
+            console.warn("Signed in but not showing OS bar");
+            return;
+        }
+        option.innerHTML = os.l10n.string("logOutUser", {username: username});
+
+        // A link to an app takes the place of the last session. Links are
+        // opened once the user signs in to their account.
+        // A guest has no session to restore
+        if (guest === true) {
+            this.router.deferPendingRoute();
+        }
+        else if (this.router.hasPendingRoute()) {
+            this.router.start();
+        }
+        else {
+            this.session.offerRestore();
+        }
+    }
+
+    this.signIn = signIn;
+
+    /**
+     * Get the current time formatted in the user's locale.
+     *
+     * e.g. Fri, Nov 15, 9:24 PM
+     *
+     * @returns formatted string
+     */
+    function getCurrentFormattedTime() {
+        // e.g. Fri Nov 15 9:23 PM
+        return os.l10n.formatDate(new Date(), {
+            weekday: "short",
+            month: "short",
+            day: "numeric",
+            hour: "numeric",
+            minute: "2-digit"
+        });
+    }
+
+    /**
+     * Update the clock's time.
+     */
+    function updateClock() {
+        var time = getCurrentFormattedTime(); // "Fri Nov 15 10:23 AM";
+        var option = document.getElementById("clock");
+        if (option === null) {
+            console.warn("Attemping to update clock when OS bar is not visible.");
+            return;
+        }
+        option.innerHTML = time;
+    }
+
+    /**
+     * Start updating clock.
+     */
+    function startClock() {
+        updateClock();
+        setInterval(updateClock, 2000);
+    }
+
+    /**
+     * Copy string `item` to clipboard.
+     *
+     * The item is also added to the pasteboard's history.
+     *
+     * This temporarily changes the label of `button` for 2 seconds before
+     * displaying the previous label again.
+     *
+     * The label is not changed if the item could not be copied e.g. the user
+     * did not allow the app to use the clipboard.
+     *
+     * @param {HTMLElement} button - The button invoking the copy action
+     * @param {string} item - The string item to copy to clipboard
+     */
+    async function copyToClipboard(button, item) {
+        try {
+            await os.pasteboard.copyText(item, os.activeApplication()?.bundleId);
+        }
+        catch (error) {
+            console.warn("Failed to copy item to clipboard", error);
+            return;
+        }
+        os.ui.flickerButton(button, os.l10n.string("copied"));
+    }
+    this.copyToClipboard = copyToClipboard;
+
+    /**
+     * Returns bundle ID's application instance.
+     *
+     * @returns UIApplication?
+     */
+    function application(bundleId) {
+        return app.application(bundleId);
+    }
+    this.application = application;
+
+    /**
+     * Returns `true` if the app is a system app e.g. Settings.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {bool}
+     */
+    function isSystemApplication(bundleId) {
+        return app.isSystemApplication(bundleId);
+    }
+    this.isSystemApplication = isSystemApplication;
+
+    /**
+     * Register applications available to BOSS.
+     *
+     * This is designed to display apps that a user has access to. This
+     * over-writes any registered applications, except system apps, that may
+     * have been initialized or registered at a previous time.
+     *
+     * @param {object{bundleId:{name:system:icon:}}} apps - List of installed apps
+     */
+    function registerApplications(apps) {
+        app.registerApplications(apps);
+        os.ui.dock.render();
+    }
+    this.registerApplications = registerApplications;
+
+    /**
+     * Open a BOSS application.
+     *
+     * If `MainController` is provided, it will show the controller regardless
+     * of what value is set to `application.json:main`.
+     *
+     * @param {string} bundleId - The Bundle ID of the application to open e.g. 'io.bithead.test-management'
+     * @param {MainController?} mainController - Overrides `application.json:main` controller
+     * @returns UIApplication
+     * @throws
+     */
+    async function openApplication(bundleId, mainController) {
+        await os.entitlements.authorize(Entitlement.openApplications, bundleId);
+        return await app.openApplication(bundleId, mainController);
+    }
+    this.openApplication = openApplication;
+
+    /**
+     * Evaluate code on behalf of the calling app.
+     *
+     * The app must be entitled to `eval`. The code is evaluated in the app's
+     * scope, where `os` is the app's handle, so that `os.*` APIs it calls are
+     * checked against the app's entitlements.
+     *
+     * @param {string} source - Code to evaluate
+     * @returns {any} The completion value of the code
+     * @throws if the app is not entitled to `eval`, or the code throws
+     */
+    async function evaluate(source) {
+        let app = os.entitlements.requestingApplication();
+        await os.entitlements.authorize(Entitlement.eval);
+        if (!isEmpty(app)) {
+            source = `${scopes.wrap(app.bundleId, source)}\n//# sourceURL=/application/${app.bundleId}/eval`;
+        }
+        // Indirect `eval` so that the code can not access the OS's scope
+        return (0, eval)(source);
+    }
+    this.evaluate = evaluate;
+
+    /**
+     * Close an application.
+     */
+    function closeApplication(bundleId) {
+        app.closeApplication(bundleId);
+    }
+    this.closeApplication = closeApplication;
+
+    /**
+     * Returns `true` if the application is in the process of closing.
+     *
+     * @param {string} bundleId
+     * @returns {bool}
+     */
+    function isClosingApplication(bundleId) {
+        return app.isClosingApplication(bundleId);
+    }
+    this.isClosingApplication = isClosingApplication;
+
+    /**
+     * Force an application to quit, even if it fails to close.
+     *
+     * @param {string} bundleId
+     */
+    function forceQuitApplication(bundleId) {
+        app.forceQuitApplication(bundleId);
+    }
+    this.forceQuitApplication = forceQuitApplication;
+
+    /**
+     * Switch to application context.
+     *
+     * The application must be loaded first.
+     *
+     * @param {string} bundleId
+     */
+    function switchApplication(bundleId) {
+        app.switchApplication(bundleId);
+    }
+    this.switchApplication = switchApplication;
+
+    /**
+     * Hide all of an application's windows.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function hideApplication(bundleId) {
+        app.hideApplication(bundleId);
+    }
+    this.hideApplication = hideApplication;
+
+    /**
+     * Switch which application app menu is displayed.
+     *
+     * Returns true:
+     * - App menu is switched between combinatino of passive or active apps
+     * - App menu is already displayed
+     *
+     * Returns false:
+     * - App is not loaded
+     * - App is inactive
+     *
+     * @param {string} bundleId - The bundle ID of the app to switch to
+     * @returns `true` if the application menu was switched
+     */
+    function switchApplicationMenu(bundleId) {
+        return app.switchApplicationMenu(bundleId);
+    }
+    this.switchApplicationMenu = switchApplicationMenu;
+
+    /**
+     * Returns all user-space installed applications.
+     *
+     * This is assumed to be used in a `UIListBox`. Therefore, `name` also
+     * contains the application's icon.
+     *
+     * @returns [object{id:value:}]
+     */
+    function installedApplications() {
+        return app.installedApplications();
+    }
+    this.installedApplications = installedApplications;
+
+    /**
+     * Returns the active application.
+     *
+     * @returns UIApplication?
+     */
+    function activeApplication() {
+        return app.activeApplication();
+    }
+    this.activeApplication = activeApplication;
+
+    /**
+     * Returns all loaded applications, in the order they were opened.
+     *
+     * @returns [UIApplication]
+     */
+    function loadedApplications() {
+        return app.loadedApplications();
+    }
+    this.loadedApplications = loadedApplications;
+
+    /**
+     * Returns all loaded applications, most recently used first.
+     *
+     * @returns [UIApplication]
+     */
+    function recentApplications() {
+        return app.recentApplications();
+    }
+    this.recentApplications = recentApplications;
+
+    /**
+     * Returns the loaded app that is calling an `os.*` API, if any.
+     *
+     * An app calls the OS through the `os` handle in its scripts' scope. Calls
+     * made through the global `os` are made by the OS.
+     *
+     * @returns {UIApplication?}
+     */
+    function callingApplication() {
+        let bundleId = scopes.caller();
+        if (isEmpty(bundleId)) {
+            return null;
+        }
+        return loadedApplications().find(a => a.bundleId === bundleId) ?? null;
+    }
+    this.callingApplication = callingApplication;
+
+    /**
+     * Claim the scope of an app's script.
+     *
+     * This is called by the script wrapped with the app's scope. It is not
+     * necessary to call this directly.
+     *
+     * @param {string} token - Token the scope was registered with
+     * @returns {object} Scope e.g. `{os: Proxy}`
+     * @throws if the scope does not exist, or was already claimed
+     */
+    function claimScope(token) {
+        return scopes.claim(token);
+    }
+    this.claimScope = claimScope;
+
+    // {string:UserDefaults} - The key is `<username>:<bundleId>`
+    let userDefaults = {};
+
+    /**
+     * Returns an app's persistent user defaults for the signed in user.
+     *
+     * An app may only access its own user defaults. System apps, e.g.
+     * Settings, may access any app's user defaults.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns UserDefaults
+     * @throws if the calling app does not own the user defaults, or the owner is not entitled to storage
+     */
+    function defaults(bundleId) {
+        if (isEmpty(bundleId)) {
+            throw new Error("A bundle ID must be provided to access user defaults");
+        }
+        let caller = os.entitlements.requestingApplication();
+        if (!isEmpty(caller) && !isSystemApplication(caller.bundleId) && caller.bundleId !== bundleId) {
+            throw new Error(`Application (${caller.bundleId}) may not access the user defaults of application (${bundleId})`);
+        }
+        if (!os.entitlements.canStore(bundleId)) {
+            throw new Error(`Application (${bundleId}) is not entitled to storage`);
+        }
+        let key = `${os.username}:${bundleId}`;
+        if (!(key in userDefaults)) {
+            userDefaults[key] = new UserDefaults(os, bundleId, os.username);
+        }
+        return userDefaults[key];
+    }
+    this.defaults = defaults;
+}
+
+/**
+ * Log levels, in order of severity.
+ */
+const LogLevel = {
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3
+};
+
+/**
+ * Provides system logging.
+ *
+ * Every log entry is recorded in a bounded, in-memory, buffer. When the buffer
+ * is full, the oldest entries are discarded. Any number of subscribers may
+ * observe entries as they are logged.
+ *
+ * Apps should log using their own category e.g.
+ * ```
+ * let log = os.log.category("io.bithead.boss-code");
+ * log.info("Saved file");
+ * ```
+ *
+ * Once `captureConsole` is called, `console.log`, `console.warn`, etc. are
+ * also recorded using the `system` category.
+ */
+function SystemLog() {
+
+    // Maximum number of entries retained in buffer
+    const MAX_ENTRIES = 1000;
+
+    // Ring buffer of entries. `start` is the index of the oldest entry.
+    let entries = [];
+    let start = 0;
+
+    // {id:fn}
+    let subscribers = {};
+
+    // Original `console` functions, before being captured
+    let originalConsole = null;
+
+    // Prevents a subscriber that logs from recursively recording entries
+    let recording = false;
+
+    // Minimum level recorded
+    let level = "debug";
+    property(this, "level",
+        function() { return level; },
+        function(value) {
+            if (!(value in LogLevel)) {
+                throw new Error(`Invalid log level (${value})`);
+            }
+            level = value;
+        }
+    );
+
+    /**
+     * Convert a logged value into a string.
+     *
+     * @param {any} value - Value to convert
+     * @returns {string}
+     */
+    function stringify(value) {
+        if (isString(value)) {
+            return value;
+        }
+        if (value instanceof Error) {
+            return isEmpty(value.stack) ? `${value}` : value.stack;
+        }
+        if (typeof value === "object" && value !== null) {
+            try {
+                return JSON.stringify(value);
+            }
+            catch (error) {
+                // Circular structure, etc.
+            }
+        }
+        return `${value}`;
+    }
+
+    /**
+     * Print entry using the original console function.
+     *
+     * @param {string} level - Log level
+     * @param {any[]} args - Values that were logged
+     */
+    function print(level, args) {
+        let fn = originalConsole?.[level] ?? console[level];
+        fn.apply(console, args);
+    }
+
+    /**
+     * Record log entry and notify subscribers.
+     *
+     * @param {string} _level - Log level
+     * @param {string} category - Category of log e.g. bundle ID
+     * @param {any[]} args - Values to log
+     */
+    function record(_level, category, args) {
+        if (recording || LogLevel[_level] < LogLevel[level]) {
+            return;
+        }
+
+        let entry = {
+            date: new Date(),
+            level: _level,
+            category: category,
+            message: args.map(stringify).join(" ")
+        };
+
+        if (entries.length < MAX_ENTRIES) {
+            entries.push(entry);
+        }
+        else {
+            entries[start] = entry;
+            start = (start + 1) % MAX_ENTRIES;
+        }
+
+        recording = true;
+        for (let id in subscribers) {
+            try {
+                subscribers[id](entry);
+            }
+            catch (error) {
+                print("error", [`Log subscriber (${id}) failed`, error]);
+            }
+        }
+        recording = false;
+    }
+
+    /**
+     * Log a message.
+     *
+     * @param {string} _level - Log level
+     * @param {string} category - Category of log e.g. bundle ID
+     * @param {...any} args - Values to log
+     */
+    function log(_level, category, ...args) {
+        if (!(_level in LogLevel)) {
+            throw new Error(`Invalid log level (${_level})`);
+        }
+        if (LogLevel[_level] < LogLevel[level]) {
+            return;
+        }
+        record(_level, category, args);
+        print(_level, [`[${category}]`, ...args]);
+    }
+    this.log = log;
+
+    /**
+     * Returns a logger that logs all messages to `category`.
+     *
+     * @param {string} name - Category name. Typically an app's bundle ID.
+     * @returns {object} Logger with `debug`, `info`, `warn`, and `error` functions
+     */
+    function category(name) {
+        let logger = {};
+        for (let level in LogLevel) {
+            logger[level] = function(...args) {
+                log(level, name, ...args);
+            };
+        }
+        return logger;
+    }
+    this.category = category;
+
+    let system = category("system");
+    this.debug = system.debug;
+    this.info = system.info;
+    this.warn = system.warn;
+    this.error = system.error;
+
+    /**
+     * Subscribe to log entries.
+     *
+     * An entry has the following structure:
+     * ```
+     * {date: Date, level: string, category: string, message: string}
+     * ```
+     *
+     * @param {function} fn - Called with every entry that is logged
+     * @returns {string} Subscription ID
+     */
+    function subscribe(fn) {
+        let id = makeObjectId();
+        subscribers[id] = fn;
+        return id;
+    }
+    this.subscribe = subscribe;
+
+    /**
+     * Remove log subscriber.
+     *
+     * @param {string} id - Subscription ID returned by `subscribe`
+     */
+    function unsubscribe(id) {
+        delete subscribers[id];
+    }
+    this.unsubscribe = unsubscribe;
+
+    /**
+     * Returns logged entries, oldest first.
+     *
+     * @param {object?} filter - Filter entries by `level` (minimum level) and/or `category`
+     * @returns {object[]} Log entries
+     */
+    function getEntries(filter) {
+        let ordered = [...entries.slice(start), ...entries.slice(0, start)];
+        if (!isEmpty(filter?.level)) {
+            ordered = ordered.filter(e => LogLevel[e.level] >= LogLevel[filter.level]);
+        }
+        if (!isEmpty(filter?.category)) {
+            ordered = ordered.filter(e => e.category === filter.category);
+        }
+        return ordered;
+    }
+    this.entries = getEntries;
+
+    /**
+     * Remove all entries from buffer.
+     */
+    function clear() {
+        entries = [];
+        start = 0;
+    }
+    this.clear = clear;
+
+    /**
+     * Returns entry formatted as a single line.
+     *
+     * e.g. `12:01:05 WARN [io.bithead.boss-code] Message`
+     *
+     * @param {object} entry - Log entry
+     * @returns {string}
+     */
+    function format(entry) {
+        let time = entry.date.toLocaleTimeString();
+        return `${time} ${entry.level.toUpperCase()} [${entry.category}] ${entry.message}`;
+    }
+    this.format = format;
+
+    /**
+     * Record all `console` logs.
+     *
+     * Logs made with `console` are still printed to the browser's console.
+     */
+    function captureConsole() {
+        if (!isEmpty(originalConsole)) {
+            return;
+        }
+        originalConsole = {
+            debug: console.debug,
+            info: console.info,
+            log: console.log,
+            warn: console.warn,
+            error: console.error
+        };
+        let levels = {debug: "debug", info: "info", log: "info", warn: "warn", error: "error"};
+        for (let fn in levels) {
+            console[fn] = function(...args) {
+                record(levels[fn], "system", args);
+                originalConsole[fn].apply(console, args);
+            };
+        }
+    }
+    this.captureConsole = captureConsole;
+
+    /**
+     * Restore original `console` functions.
+     */
+    function releaseConsole() {
+        if (isEmpty(originalConsole)) {
+            return;
+        }
+        for (let fn in originalConsole) {
+            console[fn] = originalConsole[fn];
+        }
+        originalConsole = null;
+    }
+    this.releaseConsole = releaseConsole;
+}
+
+/**
+ * Provides localized strings, dates, and numbers.
+ *
+ * Each app bundle may ship string tables at `strings/<locale>.json`. A string
+ * table is a flat object of `{key: string}`. Strings may contain template
+ * values e.g. `"Quit $(name)"`.
+ *
+ * When a string does not exist in the app's table, the system
+ * (`io.bithead.boss`) table is searched. Strings are loaded for the locale's
+ * language (e.g. `es-MX` uses `es`) and fall back to English.
+ *
+ * Windows may reference strings with `$(l10n.key)`. In Javascript, use
+ * `os.l10n.string(key, args, bundleId)` or `view.ui.string(key, args)`.
+ */
+function Localization(os) {
+
+    const SYSTEM_BUNDLE_ID = "io.bithead.boss";
+    const DEFAULT_LOCALE = "en";
+    const LOCALE_KEY = "io.bithead.boss.locale";
+
+    // Locales the OS provides strings for
+    const locales = ["en", "es"];
+    readOnly(this, "locales", locales);
+
+    // {bundleId:{key:string}}
+    let tables = {};
+
+    let locale = localStorage.getItem(LOCALE_KEY) ?? navigator.language ?? DEFAULT_LOCALE;
+    property(this, "locale",
+        function() { return locale; },
+        function(value) { throw new Error("Set the locale with setLocale"); }
+    );
+
+    /**
+     * Returns the supported locales to load, in order of least to most specific.
+     *
+     * e.g. `es-MX` returns `["en", "es"]`
+     *
+     * @returns {string[]}
+     */
+    function fallbackLocales() {
+        let language = locale.split("-")[0];
+        return [...new Set([DEFAULT_LOCALE, language, locale])].filter(l => locales.includes(l));
+    }
+
+    /**
+     * Load an app bundle's string table for the current locale.
+     *
+     * This is called when an app is opened. It is not necessary to call this
+     * directly.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    async function load(bundleId) {
+        if (bundleId in tables) {
+            return;
+        }
+        let table = {};
+        for (let l of fallbackLocales()) {
+            try {
+                let strings = await os.network.get(`/boss/app/${bundleId}/strings/${l}.json`);
+                Object.assign(table, strings);
+            }
+            catch (error) {
+                // Bundle does not provide strings for this locale
+            }
+        }
+        tables[bundleId] = table;
+    }
+    this.load = load;
+
+    /**
+     * Change the user's locale.
+     *
+     * The string tables of all loaded bundles are reloaded. Windows that are
+     * already open are not re-rendered.
+     *
+     * @param {string} value - Locale identifier e.g. `en-US`
+     * @throws if locale is not a valid identifier
+     */
+    async function setLocale(value) {
+        // Throws `RangeError` if invalid
+        locale = Intl.getCanonicalLocales(value)[0];
+        localStorage.setItem(LOCALE_KEY, locale);
+
+        let bundleIds = Object.keys(tables);
+        tables = {};
+        for (let bundleId of bundleIds) {
+            await load(bundleId);
+        }
+
+        os.notifications.post("io.bithead.boss.didChangeLocale", {locale: locale});
+    }
+    this.setLocale = setLocale;
+
+    /**
+     * Returns the name of a locale, in the current locale.
+     *
+     * @param {string} value - Locale identifier e.g. `es`
+     * @returns {string} e.g. `Spanish`
+     */
+    function displayName(value) {
+        try {
+            return new Intl.DisplayNames([locale], {type: "language"}).of(value);
+        }
+        catch (error) {
+            return value;
+        }
+    }
+    this.displayName = displayName;
+
+    /**
+     * Returns a localized string.
+     *
+     * @param {string} key - String key
+     * @param {object?} args - Values interpolated into string
+     * @param {string?} bundleId - App bundle ID. Defaults to the system bundle.
+     * @returns {string} Localized string. The key is returned if string does not exist.
+     */
+    function string(key, args, bundleId) {
+        let value = tables[bundleId]?.[key] ?? tables[SYSTEM_BUNDLE_ID]?.[key];
+        if (isEmpty(value)) {
+            console.warn(`Localized string (${key}) does not exist for bundle (${bundleId ?? SYSTEM_BUNDLE_ID})`);
+            return key;
+        }
+        return isEmpty(args) ? value : interpolate(value, args);
+    }
+    this.string = string;
+
+    /**
+     * Returns all strings available to an app bundle.
+     *
+     * This is provided to windows as the `l10n` attribute. The key is returned
+     * for strings that do not exist.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {object{key:string}}
+     */
+    function strings(bundleId) {
+        let table = Object.assign({}, tables[SYSTEM_BUNDLE_ID], tables[bundleId]);
+        return new Proxy(table, {
+            get: function(target, prop) {
+                if (typeof prop !== "string" || prop in target) {
+                    return Reflect.get(...arguments);
+                }
+                return prop;
+            }
+        });
+    }
+    this.strings = strings;
+
+    /**
+     * Format a date in the user's locale.
+     *
+     * @param {Date|number|string} value - Date, timestamp, or date string
+     * @param {string|object?} options - `date` (default), `time`, `datetime`, or `Intl.DateTimeFormat` options
+     * @returns {string} Formatted date. Empty if date is invalid.
+     */
+    function formatDate(value, options) {
+        if (isEmpty(value)) {
+            return "";
+        }
+        let date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            console.warn(`Invalid date (${value})`);
+            return "";
+        }
+        if (options === "time") {
+            options = {timeStyle: "short"};
+        }
+        else if (options === "datetime") {
+            options = {dateStyle: "medium", timeStyle: "short"};
+        }
+        else if (isEmpty(options) || options === "date") {
+            options = {dateStyle: "medium"};
+        }
+        return new Intl.DateTimeFormat(locale, options).format(date);
+    }
+    this.formatDate = formatDate;
+
+    /**
+     * Format a number in the user's locale.
+     *
+     * @param {number} value - Number to format
+     * @param {object?} options - `Intl.NumberFormat` options
+     * @returns {string}
+     */
+    function formatNumber(value, options) {
+        if (isEmpty(value) || isNaN(value)) {
+            return "";
+        }
+        return new Intl.NumberFormat(locale, options).format(value);
+    }
+    this.formatNumber = formatNumber;
+
+    // Templates format dates and numbers in the user's locale
+    templateFilters.date = function(value, style) {
+        return formatDate(value, style);
+    };
+    templateFilters.number = function(value, fractionDigits) {
+        if (isEmpty(fractionDigits)) {
+            return formatNumber(value);
+        }
+        let digits = parseInt(fractionDigits);
+        return formatNumber(value, {minimumFractionDigits: digits, maximumFractionDigits: digits});
+    };
+}
+
+/**
+ * Provides persistent key/value storage for an app.
+ *
+ * Values are namespaced by the app's bundle ID and the signed in user, and
+ * are stored in `localStorage`. Values must be JSON serializable.
+ *
+ * ```
+ * let defaults = os.defaults("io.bithead.boss-code");
+ * defaults.set("lastProject", bundleId);
+ * defaults.get("lastProject");
+ * ```
+ *
+ * Use `os.defaults(bundleId)` rather than creating an instance directly.
+ *
+ * @param {OS} os - OS instance
+ * @param {string} bundleId - App bundle ID
+ * @param {string} username - Signed in user
+ */
+function UserDefaults(os, bundleId, username) {
+
+    const storageKey = `io.bithead.boss.defaults.${username}.${bundleId}`;
+
+    readOnly(this, "bundleId", bundleId);
+
+    /**
+     * Returns the stored record.
+     *
+     * @returns object{version:string?, values:object}
+     */
+    function read() {
+        let data = localStorage.getItem(storageKey);
+        if (isEmpty(data)) {
+            return {version: null, values: {}};
+        }
+        try {
+            return JSON.parse(data);
+        }
+        catch (error) {
+            console.error(`User defaults for app (${bundleId}) are corrupt and will be reset`, error);
+            return {version: null, values: {}};
+        }
+    }
+
+    function write(record) {
+        localStorage.setItem(storageKey, JSON.stringify(record));
+    }
+
+    // Name of notification posted when a value changes
+    function notificationName(key) {
+        return `io.bithead.boss.defaults.${bundleId}.${key}`;
+    }
+
+    /**
+     * The app version the stored values belong to.
+     *
+     * This is updated after an app's defaults are migrated.
+     */
+    property(this, "version",
+        function() { return read().version; },
+        function(value) {
+            let record = read();
+            record.version = value;
+            write(record);
+        }
+    );
+
+    /**
+     * Returns value for key.
+     *
+     * @param {string} key - Key of value
+     * @param {any?} defaultValue - Returned if value does not exist
+     * @returns {any}
+     */
+    function get(key, defaultValue) {
+        let values = read().values;
+        return key in values ? values[key] : defaultValue;
+    }
+    this.get = get;
+
+    /**
+     * Set value for key.
+     *
+     * Observers of the key are notified.
+     *
+     * @param {string} key - Key of value
+     * @param {any} value - JSON serializable value
+     */
+    function set(key, value) {
+        if (value === undefined) {
+            remove(key);
+            return;
+        }
+        let record = read();
+        let oldValue = record.values[key];
+        record.values[key] = value;
+        write(record);
+        os.notifications.post(notificationName(key), {key: key, value: value, oldValue: oldValue});
+    }
+    this.set = set;
+
+    /**
+     * Remove value for key.
+     *
+     * @param {string} key - Key of value
+     */
+    function remove(key) {
+        let record = read();
+        if (!(key in record.values)) {
+            return;
+        }
+        let oldValue = record.values[key];
+        delete record.values[key];
+        write(record);
+        os.notifications.post(notificationName(key), {key: key, value: undefined, oldValue: oldValue});
+    }
+    this.remove = remove;
+
+    /**
+     * Observe changes made to a key's value.
+     *
+     * @param {string} key - Key to observe
+     * @param {function} fn - Called when value changes `fn(value, oldValue, key)`
+     * @param {string?} owner - ID of window that owns the observer. Defaults to the app. The observer is removed when the owner closes.
+     * @returns {string} Observer ID
+     */
+    function observe(key, fn, owner) {
+        return os.notifications.subscribe(notificationName(key), function(change) {
+            fn(change.value, change.oldValue, change.key);
+        }, owner ?? bundleId);
+    }
+    this.observe = observe;
+
+    /**
+     * Stop observing a key.
+     *
+     * @param {string} id - Observer ID returned by `observe`
+     */
+    function unobserve(id) {
+        os.notifications.unsubscribe(id);
+    }
+    this.unobserve = unobserve;
+
+    /**
+     * Returns all stored values.
+     *
+     * @returns {object}
+     */
+    function all() {
+        return read().values;
+    }
+    this.all = all;
+
+    /**
+     * Remove all stored values, including the version.
+     */
+    function reset() {
+        let values = read().values;
+        localStorage.removeItem(storageKey);
+        for (let key in values) {
+            os.notifications.post(notificationName(key), {key: key, value: undefined, oldValue: values[key]});
+        }
+    }
+    this.reset = reset;
+
+    /**
+     * Migrate stored values to app version.
+     *
+     * `fn` is called only when values were stored by a different version of
+     * the app. It is not called the first time an app is opened.
+     *
+     * @param {string} version - Current app version
+     * @param {function?} fn - Migrates values `fn(defaults, fromVersion, toVersion)`
+     */
+    async function migrate(version, fn) {
+        let record = read();
+        if (record.version === version) {
+            return;
+        }
+        if (!isEmpty(record.version) && !isEmpty(fn)) {
+            await fn(this, record.version, version);
+        }
+        this.version = version;
+    }
+    this.migrate = migrate;
+}
+
+/**
+ * Saves, and restores, the desktop session.
+ *
+ * The session contains every loaded app and the state of each of its
+ * windows: controller name, endpoint, position, size, z-order, zoom, and
+ * any state the window's controller provides with `encodeRestorableState`.
+ *
+ * The session is saved when the page is hidden e.g. when the page is
+ * reloaded or the user signs out. When the user signs in again, they are
+ * asked if they want to reopen everything where it was.
+ *
+ * @param {OS} os - OS instance
+ */
+function DesktopSession(os) {
+
+    // Ensures the user is asked to restore the session only once per page
+    // load. e.g. Signing in again after a session expires should not
+    // restore windows.
+    let offered = false;
+
+    function storageKey() {
+        return `io.bithead.boss.session.${os.username}`;
+    }
+
+    /**
+     * Returns the current desktop session.
+     *
+     * @returns {object{apps:[object{bundleId:windows:}]}}
+     */
+    function encode() {
+        let apps = os.loadedApplications().filter(a => !a.system);
+        return {
+            apps: apps.map(function (app) {
+                return {
+                    bundleId: app.bundleId,
+                    windows: app.windows().map(function (win) {
+                        return {
+                            controller: win.controller,
+                            endpoint: win.endpoint,
+                            window: win.container.ui.encodeState()
+                        };
+                    })
+                };
+            })
+        };
+    }
+    this.encode = encode;
+
+    /**
+     * Save the desktop session.
+     */
+    function save() {
+        if (!os.isLoaded() || isEmpty(os.username)) {
+            return;
+        }
+        try {
+            let session = encode();
+            if (isEmpty(session.apps)) {
+                localStorage.removeItem(storageKey());
+            }
+            else {
+                localStorage.setItem(storageKey(), JSON.stringify(session));
+            }
+        }
+        catch (error) {
+            console.error("Failed to save desktop session", error);
+        }
+    }
+    this.save = save;
+
+    /**
+     * Returns the saved desktop session, if any.
+     *
+     * @returns {object?}
+     */
+    function saved() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey()));
+        }
+        catch (error) {
+            console.warn("Saved desktop session is corrupt", error);
+            return null;
+        }
+    }
+    this.saved = saved;
+
+    /**
+     * Remove the saved desktop session.
+     */
+    function clear() {
+        localStorage.removeItem(storageKey());
+    }
+    this.clear = clear;
+
+    /**
+     * Reopen the apps, and windows, of a desktop session.
+     *
+     * Windows opened when an app launches are reused for windows of the same
+     * controller. Those that are not part of the session are closed.
+     *
+     * @param {object} session - Session returned by `encode`
+     */
+    async function restore(session) {
+        // Windows to restore [object{app:UIApplication,state:}]
+        let windows = [];
+        // Windows opened when each app launched {bundleId:[object]}
+        let launched = {};
+        for (let saved of session.apps) {
+            try {
+                let app = await os.openApplication(saved.bundleId);
+                launched[saved.bundleId] = app.windows();
+                for (let state of saved.windows) {
+                    windows.push({app: app, state: state});
+                }
+            }
+            catch (error) {
+                console.error(`Failed to restore application (${saved.bundleId})`, error);
+            }
+        }
+
+        // Restore from back to front so windows end up in the same order
+        windows.sort((a, b) => a.state.window.zIndex - b.state.window.zIndex);
+
+        let restored = [];
+        for (let win of windows) {
+            let state = win.state;
+            try {
+                let bundleId = win.app.bundleId;
+                let existing = launched[bundleId].find(function (w) {
+                    return w.controller === state.controller &&
+                        w.endpoint === state.endpoint &&
+                        !restored.includes(w.container);
+                });
+                let container = existing?.container;
+                if (isEmpty(container)) {
+                    container = await win.app.loadController(state.controller, state.endpoint);
+                    container.ui.show();
+                }
+                await container.ui.restoreState(state.window);
+                restored.push(container);
+            }
+            catch (error) {
+                console.error(`Failed to restore window (${state.controller})`, error);
+            }
+        }
+
+        for (let bundleId in launched) {
+            for (let win of launched[bundleId]) {
+                if (!restored.includes(win.container)) {
+                    win.container.ui.close();
+                }
+            }
+        }
+    }
+    this.restore = restore;
+
+    /**
+     * Ask the user if they want to reopen their last session.
+     *
+     * The user is asked only if a session was saved and no apps have been
+     * opened since the page loaded.
+     */
+    async function offerRestore() {
+        if (offered || !os.isLoaded()) {
+            return;
+        }
+        offered = true;
+
+        let session = saved();
+        if (isEmpty(session?.apps)) {
+            return;
+        }
+        if (os.loadedApplications().some(a => !a.system)) {
+            return;
+        }
+
+        await os.ui.showRestoreSession(async function () {
+            clear();
+            await restore(session);
+        }, async function () {
+            clear();
+        });
+    }
+    this.offerRestore = offerRestore;
+
+    /**
+     * Start saving the session when the page is hidden.
+     */
+    function init() {
+        window.addEventListener("pagehide", save);
+    }
+    this.init = init;
+}
+
+/**
+ * Routes URLs to apps and their controllers.
+ *
+ * A route is written in the URL's hash e.g.
+ * `#/io.bithead.test-manager/TestSuiteEditor?testSuiteId=4&testCaseId=9`
+ *
+ * When the OS boots with a route, the app is opened and the route's
+ * controller is shown once the user signs in to their account. An app may be
+ * opened without a controller e.g. `#/io.bithead.test-manager`.
+ *
+ * Apps declare routes in their `application.json`. The route's controller is
+ * configured with the route's parameters named in `configure`, in order.
+ * Parameters that are integers are passed as numbers.
+ * ```
+ * "routes": {
+ *     "TestSuiteEditor": {
+ *         "controller": "TestSuiteEditor",
+ *         "configure": ["testSuiteId", "testCaseId"],
+ *         "history": true
+ *     }
+ * }
+ * ```
+ *
+ * Routes that opt in to `history` record every time their controller is
+ * shown with `history.pushState`. This allows the browser's back and forward
+ * buttons to navigate between windows. The controller provides the route's
+ * parameters by implementing `routeParameters`. The window of the route that
+ * is navigated away from is closed, and a route's window that is still open is
+ * focused rather than opened again.
+ *
+ * @param {OS} os - OS instance
+ */
+function Router(os) {
+
+    // Ensures the route the page was loaded with is opened only once
+    let started = false;
+
+    // Stores the route the page was loaded with, while the user signs in
+    const PENDING_ROUTE_KEY = "io.bithead.boss.router.pendingRoute";
+
+    // `true` while opening a route. Windows shown by the route are not recorded.
+    let navigating = false;
+
+    // Windows shown for routes in the browser's history {urlHash:container}
+    let routedWindows = {};
+
+    // URL hash of the route the browser's history is at
+    let currentHash = null;
+
+    /**
+     * Returns the route in a URL hash.
+     *
+     * @param {string} hash - URL hash e.g. `#/io.bithead.test-manager/TestSuiteEditor?testSuiteId=4`
+     * @returns {object{bundleId:string,route:string?,params:object}?} `null` if hash is not a route
+     */
+    function parse(hash) {
+        if (isEmpty(hash) || !hash.startsWith("#/")) {
+            return null;
+        }
+        let [path, query] = hash.substring(2).split("?");
+        let [bundleId, route] = path.split("/").map(p => decodeURIComponent(p));
+        if (isEmpty(bundleId)) {
+            return null;
+        }
+        let params = {};
+        for (let [key, value] of new URLSearchParams(query ?? "")) {
+            params[key] = /^-?\d+$/.test(value) ? parseInt(value) : value;
+        }
+        return {bundleId: bundleId, route: isEmpty(route) ? null : route, params: params};
+    }
+    this.parse = parse;
+
+    /**
+     * Returns the URL hash of a route.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {string?} route - Name of route declared in app's `application.json`
+     * @param {object?} params - Route parameters. Empty values are excluded.
+     * @returns {string} e.g. `#/io.bithead.test-manager/TestSuiteEditor?testSuiteId=4`
+     */
+    function hash(bundleId, route, params) {
+        let path = `#/${encodeURIComponent(bundleId)}`;
+        if (isEmpty(route)) {
+            return path;
+        }
+        path = `${path}/${encodeURIComponent(route)}`;
+        let query = new URLSearchParams();
+        for (let key in params ?? {}) {
+            if (!isEmpty(params[key])) {
+                query.append(key, params[key]);
+            }
+        }
+        let search = query.toString();
+        return isEmpty(search) ? path : `${path}?${search}`;
+    }
+    this.hash = hash;
+
+    /**
+     * Returns a link that opens the OS with a route.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {string?} route - Name of route declared in app's `application.json`
+     * @param {object?} params - Route parameters
+     * @returns {string} URL
+     */
+    function url(bundleId, route, params) {
+        return `${window.location.origin}${window.location.pathname}${hash(bundleId, route, params)}`;
+    }
+    this.url = url;
+
+    /**
+     * Record the window shown for a route.
+     *
+     * @param {string} urlHash - URL hash of route
+     * @param {UIWindow} container - Window shown for the route
+     */
+    function setRoutedWindow(urlHash, container) {
+        for (let key in routedWindows) {
+            if (!routedWindows[key].isConnected) {
+                delete routedWindows[key];
+            }
+        }
+        routedWindows[urlHash] = container;
+    }
+
+    /**
+     * Open the app, and show the controller, of a route.
+     *
+     * If the route's window is still open, or the route's controller is a
+     * singleton that is already visible, the window is focused.
+     *
+     * @param {string} urlHash - URL hash of route
+     * @returns {bool} `true` if the hash is a route
+     */
+    async function navigate(urlHash) {
+        let link = parse(urlHash);
+        if (isEmpty(link)) {
+            return false;
+        }
+
+        navigating = true;
+        try {
+            let app = await os.openApplication(link.bundleId);
+            if (isEmpty(link.route)) {
+                return true;
+            }
+            let def = app.routes[link.route];
+            if (isEmpty(def)) {
+                console.warn(`Application (${link.bundleId}) does not declare route (${link.route})`);
+                return true;
+            }
+            let routed = routedWindows[urlHash];
+            if (routed?.isConnected) {
+                os.ui.focusWindow(routed);
+                return true;
+            }
+            let container = await app.loadController(def.controller);
+            container.ui.show(function (controller) {
+                if (!isEmpty(def.configure)) {
+                    controller.configure(...def.configure.map(key => link.params[key]));
+                }
+            });
+            setRoutedWindow(urlHash, container);
+        }
+        catch (error) {
+            console.error(`Failed to open route (${urlHash})`, error);
+        }
+        finally {
+            navigating = false;
+        }
+        return true;
+    }
+    this.navigate = navigate;
+
+    /**
+     * Returns the route the page was loaded with, or the route deferred
+     * until the user signed in.
+     *
+     * @returns {string?} URL hash of route
+     */
+    function pendingRoute() {
+        if (!isEmpty(parse(window.location.hash))) {
+            return window.location.hash;
+        }
+        return sessionStorage.getItem(PENDING_ROUTE_KEY);
+    }
+
+    /**
+     * Returns `true` if there is a route that has not been opened.
+     *
+     * @returns {bool}
+     */
+    function hasPendingRoute() {
+        return !started && !isEmpty(parse(pendingRoute()));
+    }
+    this.hasPendingRoute = hasPendingRoute;
+
+    /**
+     * Keep the pending route until the user signs in to their account.
+     *
+     * Signing in reloads the page. Therefore, the route is stored for the
+     * remainder of the browser session.
+     */
+    function deferPendingRoute() {
+        if (hasPendingRoute()) {
+            sessionStorage.setItem(PENDING_ROUTE_KEY, pendingRoute());
+        }
+    }
+    this.deferPendingRoute = deferPendingRoute;
+
+    /**
+     * Open the pending route, if any.
+     *
+     * This is called once the user signs in to their account.
+     */
+    async function start() {
+        if (started || !os.isLoaded()) {
+            return;
+        }
+        started = true;
+        let urlHash = pendingRoute();
+        sessionStorage.removeItem(PENDING_ROUTE_KEY);
+        if (isEmpty(urlHash)) {
+            return;
+        }
+        if (urlHash !== window.location.hash) {
+            history.replaceState(null, "", urlHash);
+        }
+        currentHash = urlHash;
+        await navigate(urlHash);
+    }
+    this.start = start;
+
+    /**
+     * Record a window in the browser's history, if its app declares a route
+     * for the window's controller that opts in to `history`.
+     *
+     * This is called by `UIWindow` after the window is shown.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {string} controllerName - Name of window's controller
+     * @param {object?} params - Parameters returned by the controller's `routeParameters`
+     * @param {UIWindow} container - The window
+     */
+    function didOpenWindow(bundleId, controllerName, params, container) {
+        if (navigating || !os.isLoaded()) {
+            return;
+        }
+        let app = os.loadedApplications().find(a => a.bundleId === bundleId);
+        let routes = app?.routes ?? {};
+        let route = Object.keys(routes).find(function (name) {
+            return routes[name].controller === controllerName && routes[name].history === true;
+        });
+        if (isEmpty(route)) {
+            return;
+        }
+        let path = hash(bundleId, route, params);
+        setRoutedWindow(path, container);
+        if (path === window.location.hash) {
+            return;
+        }
+        history.pushState({bundleId: bundleId, route: route}, "", path);
+        currentHash = path;
+    }
+    this.didOpenWindow = didOpenWindow;
+
+    /**
+     * Close the window of the route navigated away from, and navigate to the
+     * route the browser's history is now at.
+     *
+     * If the user keeps the window open e.g. to keep unsaved changes, the
+     * route is not opened.
+     */
+    async function didPopState() {
+        let left = routedWindows[currentHash];
+        currentHash = window.location.hash;
+        if (left?.isConnected && left !== routedWindows[currentHash]) {
+            if (!(await left.ui.performClose())) {
+                return;
+            }
+        }
+        await navigate(currentHash);
+    }
+
+    /**
+     * Navigate to routes when the browser's back, or forward, button is tapped.
+     */
+    function init() {
+        window.addEventListener("popstate", didPopState);
+    }
+    this.init = init;
+}
+
+/**
+ * Tracks resources created on behalf of an app and releases them when the app
+ * quits.
+ *
+ * Resources include scripts and stylesheets loaded by `os.network`, window
+ * controller globals, timers, listeners, and loggers patched with
+ * `os.patchSystemLogger`.
+ *
+ * Timers and listeners are tracked when an app creates them with this
+ * tracker's functions, which are attributed to the calling app. An app's
+ * scripts are given these functions in place of the global `setTimeout`,
+ * `setInterval`, `clearTimeout`, `clearInterval`, `addEventListener` and
+ * `removeEventListener` (see `ApplicationScopes`). An app must call
+ * `os.resources.addEventListener(document, ...)` for its `document` listeners
+ * to be tracked. Timers, and listeners, created by the OS are not tracked.
+ *
+ * Resources that could not be released are recorded in a debug report.
+ *
+ * @param {OS} os - OS instance
+ */
+function ResourceTracker(os) {
+
+    // Maximum number of unreleased resources retained in report
+    const MAX_REPORT_ENTRIES = 100;
+
+    // {bundleId:{id:object{id:type:description:date:release:}}}
+    let resources = {};
+
+    // Resources that could not be released, oldest first
+    let unreleased = [];
+
+    // {timerId:resource}
+    let timers = {};
+
+    // [object{target:type:fn:capture:resource:}]
+    let listeners = [];
+
+    /**
+     * Track a resource created on behalf of an app.
+     *
+     * `release` is called when the app quits. It should return `false`, or
+     * throw, if the resource could not be released.
+     *
+     * @param {string} bundleId - App bundle ID that owns the resource
+     * @param {string} type - Type of resource e.g. `script`, `timer`, `listener`
+     * @param {string} description - Describes the resource in the debug report
+     * @param {function} release - Releases the resource
+     * @returns {object} Resource. Pass to `untrack` if the resource is released by other means.
+     */
+    function track(bundleId, type, description, release) {
+        let resource = {
+            id: makeObjectId(),
+            bundleId: bundleId,
+            type: type,
+            description: description,
+            date: new Date(),
+            release: release
+        };
+        if (!(bundleId in resources)) {
+            resources[bundleId] = {};
+        }
+        resources[bundleId][resource.id] = resource;
+        return resource;
+    }
+    this.track = track;
+
+    /**
+     * Stop tracking a resource.
+     *
+     * @param {object?} resource - Resource returned by `track`
+     */
+    function untrack(resource) {
+        if (isEmpty(resource)) {
+            return;
+        }
+        delete resources[resource.bundleId]?.[resource.id];
+    }
+    this.untrack = untrack;
+
+    /**
+     * Remove a global.
+     *
+     * Globals declared with `var` or `function` can not be deleted. Clearing
+     * their value allows them to be garbage collected.
+     *
+     * @param {string} name - Name of global
+     * @returns {bool} `false` if the global could not be removed
+     */
+    function releaseGlobal(name) {
+        if (delete window[name]) {
+            return true;
+        }
+        try {
+            window[name] = undefined;
+        }
+        catch (error) {
+            // Read-only global
+        }
+        return window[name] === undefined;
+    }
+    this.releaseGlobal = releaseGlobal;
+
+    /**
+     * Track a global defined on behalf of an app e.g. a window's controller
+     * constructor.
+     *
+     * @param {string} bundleId - App bundle ID that owns the global
+     * @param {string} name - Name of global
+     * @returns {object} Resource
+     */
+    function trackGlobal(bundleId, name) {
+        return track(bundleId, "global", name, function () {
+            return releaseGlobal(name);
+        });
+    }
+    this.trackGlobal = trackGlobal;
+
+    /**
+     * Returns the number of resources, by type, held by an app.
+     *
+     * e.g. `{script: 2, timer: 1}`
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {object}
+     */
+    function summary(bundleId) {
+        let counts = {};
+        for (let resource of Object.values(resources[bundleId] ?? {})) {
+            counts[resource.type] = (counts[resource.type] ?? 0) + 1;
+        }
+        return counts;
+    }
+    this.summary = summary;
+
+    /**
+     * Release all resources held by an app.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {object[]} Resources that could not be released
+     */
+    function release(bundleId) {
+        let failed = [];
+        let held = resources[bundleId] ?? {};
+        delete resources[bundleId];
+        for (let resource of Object.values(held)) {
+            let error = null;
+            try {
+                if (resource.release() !== false) {
+                    continue;
+                }
+            }
+            catch (e) {
+                error = e;
+            }
+            failed.push({
+                date: new Date(),
+                bundleId: bundleId,
+                type: resource.type,
+                description: resource.description,
+                error: error
+            });
+        }
+
+        if (!isEmpty(failed)) {
+            unreleased.push(...failed);
+            unreleased = unreleased.slice(-MAX_REPORT_ENTRIES);
+            let list = failed.map(f => `- ${f.type}: ${f.description}`);
+            console.warn(`Application (${bundleId}) has resources that could not be released:\n${list.join("\n")}`);
+        }
+        return failed;
+    }
+    this.release = release;
+
+    /**
+     * Returns the debug report of resources that could not be released.
+     *
+     * ```
+     * {date: Date, bundleId: string, type: string, description: string, error: Error?}
+     * ```
+     *
+     * @returns {object[]}
+     */
+    function report() {
+        return [...unreleased];
+    }
+    this.report = report;
+
+    /**
+     * Returns the bundle ID of the app creating a resource, if any.
+     *
+     * @returns {string?}
+     */
+    function callingBundleId() {
+        return os.callingApplication()?.bundleId ?? null;
+    }
+
+    /**
+     * Schedule a timeout that belongs to the calling app.
+     *
+     * @param {function} fn - Called when the timer fires
+     * @param {number?} delay - Delay in milliseconds
+     * @param {...any} args - Arguments passed to `fn`
+     * @returns {number} Timer ID
+     */
+    function _setTimeout(fn, delay, ...args) {
+        let bundleId = callingBundleId();
+        if (isEmpty(bundleId) || typeof fn !== "function") {
+            return window.setTimeout(fn, delay, ...args);
+        }
+        let id = window.setTimeout(function (...params) {
+            untrack(timers[id]);
+            delete timers[id];
+            fn.apply(this, params);
+        }, delay, ...args);
+        timers[id] = track(bundleId, "timer", `Timeout (${id}) ${delay ?? 0}ms`, function () {
+            window.clearTimeout(id);
+            delete timers[id];
+        });
+        return id;
+    }
+    this.setTimeout = _setTimeout;
+
+    /**
+     * Schedule an interval that belongs to the calling app.
+     *
+     * @param {function} fn - Called each time the timer fires
+     * @param {number?} delay - Delay in milliseconds
+     * @param {...any} args - Arguments passed to `fn`
+     * @returns {number} Timer ID
+     */
+    function _setInterval(fn, delay, ...args) {
+        let id = window.setInterval(fn, delay, ...args);
+        let bundleId = callingBundleId();
+        if (!isEmpty(bundleId)) {
+            timers[id] = track(bundleId, "timer", `Interval (${id}) ${delay ?? 0}ms`, function () {
+                window.clearInterval(id);
+                delete timers[id];
+            });
+        }
+        return id;
+    }
+    this.setInterval = _setInterval;
+
+    /**
+     * Clear a timeout, or interval.
+     *
+     * NOTE: Timeouts and intervals share the same IDs. Therefore, this may
+     * clear either type of timer.
+     *
+     * @param {number} id - Timer ID
+     */
+    function clearTimer(id) {
+        untrack(timers[id]);
+        delete timers[id];
+        window.clearTimeout(id);
+    }
+    this.clearTimeout = clearTimer;
+    this.clearInterval = clearTimer;
+
+    function isCapture(options) {
+        return typeof options === "boolean" ? options : options?.capture === true;
+    }
+
+    /**
+     * Add a listener, that belongs to the calling app, to a target e.g.
+     * `document` or `window`.
+     *
+     * @param {EventTarget} target - Target to listen to
+     * @param {string} type - Event type e.g. `keydown`
+     * @param {function} fn - Listener
+     * @param {object|bool?} options - `addEventListener` options
+     */
+    function addEventListener(target, type, fn, options) {
+        target.addEventListener(type, fn, options);
+        let bundleId = callingBundleId();
+        if (isEmpty(bundleId) || isEmpty(fn)) {
+            return;
+        }
+        let name = target === document ? "document" : target === window ? "window" : target.constructor.name;
+        let listener = {target: target, type: type, fn: fn, capture: isCapture(options)};
+        listener.resource = track(bundleId, "listener", `${name} "${type}" listener`, function () {
+            target.removeEventListener(type, fn, options);
+            listeners.splice(listeners.indexOf(listener), 1);
+        });
+        listeners.push(listener);
+    }
+    this.addEventListener = addEventListener;
+
+    /**
+     * Remove a listener added with `addEventListener`.
+     *
+     * @param {EventTarget} target - Target the listener was added to
+     * @param {string} type - Event type
+     * @param {function} fn - Listener
+     * @param {object|bool?} options - `removeEventListener` options
+     */
+    function removeEventListener(target, type, fn, options) {
+        target.removeEventListener(type, fn, options);
+        let capture = isCapture(options);
+        let index = listeners.findIndex(l => l.target === target && l.type === type && l.fn === fn && l.capture === capture);
+        if (index >= 0) {
+            untrack(listeners[index].resource);
+            listeners.splice(index, 1);
+        }
+    }
+    this.removeEventListener = removeEventListener;
+}
+
+/**
+ * Reports uncaught errors thrown by apps.
+ *
+ * Errors are attributed to an app, and window, using the `sourceURL` of the
+ * app's scripts in the error's stack. When an app crashes, the user may
+ * reopen or force quit the app.
+ *
+ * Every crash is recorded in a local crash log, which may be exported from
+ * Settings.
+ *
+ * @param {OS} os - OS instance
+ */
+function CrashReporter(os) {
+
+    // Maximum number of crashes retained in log
+    const MAX_CRASHES = 50;
+
+    const STORAGE_KEY = "io.bithead.boss.crashes";
+
+    // Controller script `sourceURL` e.g. `/io.bithead.settings/Home/Window_000001/0`
+    const CONTROLLER_SOURCE = /\/([\w.-]+)\/(\w+)\/(Window_\d+)\/\d+/;
+
+    // Application delegate script `sourceURL` e.g. `/application/io.bithead.settings`
+    const APPLICATION_SOURCE = /\/application\/([\w.-]+?)(:\d+|\)|$)/;
+
+    // Apps whose crash report is being displayed
+    let reporting = {};
+
+    /**
+     * Returns the app, and window, whose script is at the top of the stack.
+     *
+     * @param {string} stack - Error stack, and source, of the error
+     * @returns {object?} `{bundleId: string, controller: string?, windowId: string?}`
+     */
+    function attribute(stack) {
+        let loaded = os.loadedApplications().map(a => a.bundleId);
+        for (let line of stack.split("\n")) {
+            let match = line.match(CONTROLLER_SOURCE);
+            if (!isEmpty(match) && loaded.includes(match[1])) {
+                return {bundleId: match[1], controller: match[2], windowId: match[3]};
+            }
+            match = line.match(APPLICATION_SOURCE);
+            if (!isEmpty(match) && loaded.includes(match[1])) {
+                return {bundleId: match[1], controller: "Application", windowId: null};
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns all recorded crashes, oldest first.
+     *
+     * ```
+     * {date: string, bundleId: string?, name: string?, controller: string?, windowId: string?, message: string, stack: string?}
+     * ```
+     *
+     * @returns {object[]}
+     */
+    function crashes() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+        }
+        catch (error) {
+            console.warn("Crash log is corrupt", error);
+            return [];
+        }
+    }
+    this.crashes = crashes;
+
+    /**
+     * Remove all recorded crashes.
+     */
+    function clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+    this.clear = clear;
+
+    function save(crash) {
+        let log = crashes();
+        log.push(crash);
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(log.slice(-MAX_CRASHES)));
+        }
+        catch (error) {
+            console.warn("Failed to save crash log", error);
+        }
+    }
+
+    /**
+     * Record an uncaught error and, if the error was thrown by an app, ask
+     * the user what to do with the app.
+     *
+     * @param {any} error - The error that was thrown
+     * @param {string?} source - URL of script that threw the error
+     * @returns {object} Crash
+     */
+    function report(error, source) {
+        let stack = error instanceof Error ? error.stack : null;
+        let origin = attribute(`${source ?? ""}\n${stack ?? ""}`);
+        let app = isEmpty(origin) ? null : os.loadedApplications().find(a => a.bundleId === origin.bundleId);
+        let crash = {
+            date: new Date().toISOString(),
+            bundleId: origin?.bundleId ?? null,
+            name: app?.name ?? null,
+            controller: origin?.controller ?? null,
+            windowId: origin?.windowId ?? null,
+            message: error instanceof Error ? `${error.name}: ${error.message}` : `${error}`,
+            stack: stack
+        };
+        save(crash);
+        os.log.log("error", crash.bundleId ?? "system", "Uncaught error", crash.message);
+
+        // NOTE: System apps can not be quit. Only one report is displayed, at
+        // a time, for an app.
+        if (isEmpty(app) || app.system || crash.bundleId in reporting || !os.isLoaded()) {
+            return crash;
+        }
+        reporting[crash.bundleId] = true;
+        os.ui.showCrashReport(crash, function () {
+            delete reporting[crash.bundleId];
+        });
+        return crash;
+    }
+    this.report = report;
+
+    /**
+     * Report uncaught errors and unhandled promise rejections.
+     */
+    function init() {
+        window.addEventListener("error", function (event) {
+            report(event.error ?? event.message, event.filename);
+        });
+        window.addEventListener("unhandledrejection", function (event) {
+            report(event.reason, null);
+        });
+    }
+    this.init = init;
+}
+
+/**
+ * Provides each app's scripts with their own handle to the OS.
+ *
+ * App scripts, i.e. the application delegate and window controllers, are
+ * evaluated in a scope where `os` is the app's handle. Calls made through the
+ * handle are attributed to the app regardless of how the call is made e.g.
+ * from a timer, a bound function, or a deep call stack. The OS uses this to
+ * determine which app is calling an API when checking entitlements.
+ *
+ * The scope also replaces the window's timer and listener functions with ones
+ * that belong to the app, so that they are released when the app quits.
+ *
+ * The handle wraps `os` and its subsystems e.g. `os.network`. Values that are
+ * not subsystems e.g. elements and apps, are returned as is.
+ *
+ * @param {OS} os - OS instance
+ */
+function ApplicationScopes(os) {
+
+    // Bundle IDs of apps calling the OS through their handle, innermost last
+    let callers = [];
+
+    // {bundleId:Proxy}
+    let handles = {};
+
+    // Scopes waiting to be claimed by an app's script {token:object}
+    let unclaimed = {};
+
+    /**
+     * Returns the bundle ID of the app calling the OS, if any.
+     *
+     * @returns {string?}
+     */
+    function caller() {
+        return callers[callers.length - 1] ?? null;
+    }
+    this.caller = caller;
+
+    /**
+     * Returns `true` when the OS is calling on its own behalf.
+     *
+     * @returns {bool}
+     */
+    function isSystem() {
+        return callers.length > 0 && callers[callers.length - 1] === null;
+    }
+    this.isSystem = isSystem;
+
+    function call(bundleId, fn, target, args) {
+        if (!os.loadedApplications().some(a => a.bundleId === bundleId)) {
+            throw new Error(`Application (${bundleId}) is not running`);
+        }
+        callers.push(bundleId);
+        try {
+            return fn.apply(target, args);
+        }
+        finally {
+            callers.pop();
+        }
+    }
+
+    function makeHandle(bundleId) {
+        // `os` and its subsystems e.g. `os.network`, `os.ui.dragAndDrop`
+        let subsystems = new Set([os]);
+        for (let value of [...Object.values(os), ...Object.values(os.ui)]) {
+            if (typeof value === "object" && value !== null && !(value instanceof Node)) {
+                subsystems.add(value);
+            }
+        }
+
+        // Wrapped values are cached so that e.g. `os.network.get === os.network.get`
+        let proxies = new Map();
+        let functions = new Map();
+
+        function wrap(value, target) {
+            if (typeof value === "function") {
+                if (!functions.has(value)) {
+                    functions.set(value, function (...args) {
+                        return call(bundleId, value, target, args);
+                    });
+                }
+                return functions.get(value);
+            }
+            if (!subsystems.has(value)) {
+                return value;
+            }
+            if (!proxies.has(value)) {
+                proxies.set(value, new Proxy(value, {
+                    get: function (target, prop) {
+                        let value = Reflect.get(target, prop);
+                        // A proxy must return the value of read-only properties as is
+                        let descriptor = Object.getOwnPropertyDescriptor(target, prop);
+                        if (descriptor?.configurable === false && descriptor.writable === false) {
+                            return value;
+                        }
+                        return wrap(value, target);
+                    }
+                }));
+            }
+            return proxies.get(value);
+        }
+
+        return wrap(os, null);
+    }
+
+    /**
+     * Returns an app's handle to the OS.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {Proxy}
+     */
+    function handle(bundleId) {
+        if (!(bundleId in handles)) {
+            handles[bundleId] = makeHandle(bundleId);
+        }
+        return handles[bundleId];
+    }
+    this.handle = handle;
+
+    /**
+     * Call `fn` on behalf of the OS.
+     *
+     * Use this when the OS accesses its own resources, or another app's
+     * resources, while an app is calling the OS e.g. the dock reading its
+     * pinned apps when an app opens another app.
+     *
+     * @param {function} fn - Function to call
+     * @returns {any} Value returned by `fn`
+     */
+    function system(fn) {
+        callers.push(null);
+        try {
+            return fn();
+        }
+        finally {
+            callers.pop();
+        }
+    }
+    this.system = system;
+
+    /**
+     * Returns the globals an app's scripts see in place of the window's
+     * globals. Timers, and `window` listeners, created with these belong to
+     * the app. See `ResourceTracker`.
+     *
+     * @param {Proxy} handle - App's handle to the OS
+     * @returns {object}
+     */
+    function makeGlobals(handle) {
+        let resources = handle.resources;
+        return {
+            setTimeout: resources.setTimeout,
+            setInterval: resources.setInterval,
+            clearTimeout: resources.clearTimeout,
+            clearInterval: resources.clearInterval,
+            addEventListener: function (type, fn, options) {
+                resources.addEventListener(window, type, fn, options);
+            },
+            removeEventListener: function (type, fn, options) {
+                resources.removeEventListener(window, type, fn, options);
+            }
+        };
+    }
+
+    /**
+     * Wrap an app's script so that it is evaluated in the app's scope.
+     *
+     * NOTE: Functions declared in a block are also declared as globals in
+     * non-strict scripts. Therefore, a controller's constructor remains
+     * available as `window[id]`, and sees the app's `os`.
+     *
+     * The wrapper does not add lines so that line numbers in the script's
+     * stack traces are not changed.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {string} source - Script source
+     * @returns {string} Wrapped source
+     */
+    function wrap(bundleId, source) {
+        let token = generateUUID();
+        let h = handle(bundleId);
+        unclaimed[token] = {os: h, globals: makeGlobals(h)};
+        let globals = "{setTimeout, setInterval, clearTimeout, clearInterval, addEventListener, removeEventListener}";
+        return `{ const bossScope = os.claimScope("${token}"); const ${globals} = bossScope.globals; { const os = bossScope.os; ${source}\n} }`;
+    }
+    this.wrap = wrap;
+
+    /**
+     * Claim the scope registered by `wrap`. A scope may only be claimed once.
+     *
+     * @param {string} token - Token the scope was registered with
+     * @returns {object}
+     * @throws if the scope does not exist
+     */
+    function claim(token) {
+        let scope = unclaimed[token];
+        if (isEmpty(scope)) {
+            throw new Error(`Application scope (${token}) does not exist`);
+        }
+        delete unclaimed[token];
+        return scope;
+    }
+    this.claim = claim;
+}
+
+/**
+ * Entitlements an app may declare in `application.json`.
+ *
+ * ```
+ * "entitlements": {
+ *     "network": ["/test/", "https://api.example.com"],
+ *     "clipboard": true,
+ *     "storage": true,
+ *     "fileSystem": ["/home"],
+ *     "openApplications": ["io.bithead.settings"],
+ *     "eval": true
+ * }
+ * ```
+ *
+ * - `network`: URL prefixes the app may request. Paths are on the origin BOSS is
+ *   served from. `/boss/` resources are always accessible.
+ * - `clipboard`: App may use `os.pasteboard`
+ * - `storage`: App may persist user defaults
+ * - `fileSystem`: Paths the app may access. An app may always access `/apps/<bundleId>`.
+ * - `openApplications`: Bundle IDs of apps the app may open. `*` allows any app.
+ * - `eval`: App may evaluate arbitrary code with `os.evaluate`
+ */
+const Entitlement = {
+    network: "network",
+    clipboard: "clipboard",
+    storage: "storage",
+    fileSystem: "fileSystem",
+    openApplications: "openApplications",
+    eval: "eval"
+};
+
+/**
+ * Enforces app entitlements.
+ *
+ * Entitlements are checked when an `os.*` API is called. The calling app is
+ * the app whose `os` handle made the call (see `ApplicationScopes`) or, for
+ * inline event handlers, the app whose UI dispatched the event. When neither
+ * is an app, the call is made by the OS and is allowed. System apps are
+ * entitled to everything.
+ *
+ * Apps that do not declare `entitlements` are not restricted. A warning is
+ * logged the first time such an app calls a checked API.
+ *
+ * Sensitive entitlements require the user's permission. The user is asked the
+ * first time the app uses the capability. The user's choice is remembered
+ * and may be revoked in Settings > Privacy.
+ *
+ * @param {OS} os - OS instance
+ * @param {ApplicationScopes} scopes - Identifies when the OS is calling on its own behalf
+ */
+function Entitlements(os, scopes) {
+
+    // Entitlements that require the user's permission
+    const SENSITIVE = [Entitlement.clipboard, Entitlement.fileSystem, Entitlement.eval];
+
+    // Apps that have been warned about not declaring entitlements
+    let warned = [];
+
+    // Permission requests waiting on the user {`<bundleId>:<entitlement>`:Promise}
+    let pending = {};
+
+    function storageKey() {
+        return `io.bithead.boss.entitlements.${os.username}`;
+    }
+
+    /**
+     * Returns the app whose UI dispatched the event being handled.
+     *
+     * Inline event handlers, e.g. `onclick`, are not compiled in the app's
+     * scope. Therefore, they call the OS through the global `os`.
+     *
+     * @returns {UIApplication?}
+     */
+    function eventApplication() {
+        let target = window.event?.target;
+        if (!(target instanceof Node)) {
+            return null;
+        }
+        return os.loadedApplications().find(function (app) {
+            return [os.ui.appContainerId(app.bundleId), app.menuId, app.appMenuId]
+                .some(id => document.getElementById(id)?.contains(target));
+        }) ?? null;
+    }
+
+    /**
+     * Returns the app requesting a capability.
+     *
+     * @returns {UIApplication?} `null` if the OS is requesting the capability
+     */
+    function requestingApplication() {
+        if (scopes.isSystem()) {
+            return null;
+        }
+        return os.callingApplication() ?? eventApplication();
+    }
+    this.requestingApplication = requestingApplication;
+
+    /**
+     * Returns the absolute URL a request to `value` is made to.
+     *
+     * @param {string} value - Absolute, or relative, URL
+     * @returns {URL?} `null` if the URL is invalid
+     */
+    function resolveURL(value) {
+        try {
+            return new URL(value, window.location.href);
+        }
+        catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Returns `true` if the app declares the entitlement for value.
+     *
+     * @param {UIApplication} app
+     * @param {Entitlement} name
+     * @param {string?} value - URL, path, or bundle ID being accessed
+     * @returns {bool}
+     */
+    function isDeclared(app, name, value) {
+        let declared = app.entitlements?.[name];
+        switch (name) {
+        case Entitlement.network: {
+            // Resolve `..` segments, and relative URLs, the same way `fetch` does
+            let url = resolveURL(value);
+            if (isEmpty(url)) {
+                return false;
+            }
+            return ["/boss/", ...(declared ?? [])].some(function (prefix) {
+                let allowed = resolveURL(prefix);
+                if (url.origin !== allowed?.origin) {
+                    return false;
+                }
+                // A directory prefix e.g. `/test/` includes the directory itself e.g. `/test`
+                return url.pathname.startsWith(allowed.pathname) || `${url.pathname}/` === allowed.pathname;
+            });
+        }
+        case Entitlement.fileSystem:
+            return [`/apps/${app.bundleId}`, ...(declared ?? [])].some(function (prefix) {
+                prefix = normalizePath(prefix);
+                let path = normalizePath(value);
+                return path === prefix || path.startsWith(prefix === "/" ? "/" : `${prefix}/`);
+            });
+        case Entitlement.openApplications:
+            if (value === app.bundleId || os.isSystemApplication(value)) {
+                return true;
+            }
+            return (declared ?? []).some(id => id === "*" || id === value);
+        default:
+            return declared === true;
+        }
+    }
+
+    /**
+     * Returns `true` if the app is restricted by its entitlements.
+     *
+     * @param {UIApplication?} app
+     * @returns {bool}
+     */
+    function isRestricted(app) {
+        if (isEmpty(app) || app.system) {
+            return false;
+        }
+        if (app.entitlements === null) {
+            if (!warned.includes(app.bundleId)) {
+                warned.push(app.bundleId);
+                console.warn(`Application (${app.bundleId}) does not declare entitlements. Please add entitlements to its application.json.`);
+            }
+            return false;
+        }
+        return true;
+    }
+
+    function notEntitled(app, name, value) {
+        let detail = isEmpty(value) ? "" : ` (${value})`;
+        return new Error(`Application (${app.bundleId}) is not entitled to ${name}${detail}`);
+    }
+
+    /**
+     * Returns the user's permission grants.
+     *
+     * @returns {object{bundleId:object{entitlement:bool}}}
+     */
+    function grants() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey())) ?? {};
+        }
+        catch (error) {
+            console.warn("Entitlement grants are corrupt", error);
+            return {};
+        }
+    }
+    this.grants = grants;
+
+    function setGrant(bundleId, name, allowed) {
+        let g = grants();
+        g[bundleId] = {...g[bundleId], [name]: allowed};
+        localStorage.setItem(storageKey(), JSON.stringify(g));
+        os.notifications.post("io.bithead.boss.entitlements.didChange", {bundleId: bundleId, name: name, allowed: allowed});
+    }
+
+    /**
+     * Revoke the user's permission. The user is asked again the next time
+     * the app uses the capability.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {Entitlement} name - Entitlement to revoke
+     */
+    function revoke(bundleId, name) {
+        let g = grants();
+        if (isEmpty(g[bundleId])) {
+            return;
+        }
+        delete g[bundleId][name];
+        if (isEmpty(g[bundleId])) {
+            delete g[bundleId];
+        }
+        localStorage.setItem(storageKey(), JSON.stringify(g));
+        os.notifications.post("io.bithead.boss.entitlements.didChange", {bundleId: bundleId, name: name, allowed: null});
+    }
+    this.revoke = revoke;
+
+    /**
+     * Ask the user for permission to use a sensitive capability.
+     *
+     * @param {UIApplication} app
+     * @param {Entitlement} name
+     * @returns {bool} `true` if the user allowed the capability
+     */
+    async function requestPermission(app, name) {
+        let key = `${app.bundleId}:${name}`;
+        if (!(key in pending)) {
+            pending[key] = os.ui.showPermissionRequest(app.name, name)
+                .then(function (allowed) {
+                    setGrant(app.bundleId, name, allowed);
+                    return allowed;
+                })
+                .finally(function () {
+                    delete pending[key];
+                });
+        }
+        return await pending[key];
+    }
+
+    /**
+     * Check that the calling app is entitled to use a capability.
+     *
+     * Sensitive capabilities must already be allowed by the user. Use
+     * `authorize` to ask the user for permission.
+     *
+     * @param {Entitlement} name - Entitlement
+     * @param {string?} value - URL, path, or bundle ID being accessed
+     * @throws if the app is not entitled
+     */
+    function check(name, value) {
+        let app = requestingApplication();
+        if (!isRestricted(app)) {
+            return;
+        }
+        if (!isDeclared(app, name, value)) {
+            throw notEntitled(app, name, value);
+        }
+        if (SENSITIVE.includes(name) && grants()[app.bundleId]?.[name] !== true) {
+            throw new Error(`User has not allowed application (${app.bundleId}) to use ${name}`);
+        }
+    }
+    this.check = check;
+
+    /**
+     * Authorize the calling app to use a capability.
+     *
+     * If the capability is sensitive, and the user has not yet been asked,
+     * the user is asked for permission.
+     *
+     * @param {Entitlement} name - Entitlement
+     * @param {string?} value - URL, path, or bundle ID being accessed
+     * @throws if the app is not entitled, or the user did not allow it
+     */
+    async function authorize(name, value) {
+        let app = requestingApplication();
+        if (!isRestricted(app)) {
+            return;
+        }
+        if (!isDeclared(app, name, value)) {
+            throw notEntitled(app, name, value);
+        }
+        if (!SENSITIVE.includes(name)) {
+            return;
+        }
+        let allowed = grants()[app.bundleId]?.[name];
+        if (allowed === undefined) {
+            allowed = await requestPermission(app, name);
+        }
+        if (allowed !== true) {
+            throw new Error(`User did not allow application (${app.bundleId}) to use ${name}`);
+        }
+    }
+    this.authorize = authorize;
+
+    /**
+     * Returns `true` if an app may persist data.
+     *
+     * Unlike other entitlements, storage is checked against the app that owns
+     * the data rather than the calling app. `os.defaults` checks that the
+     * calling app owns the data.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {bool}
+     */
+    function canStore(bundleId) {
+        let app = os.loadedApplications().find(a => a.bundleId === bundleId);
+        if (!isRestricted(app)) {
+            return true;
+        }
+        return isDeclared(app, Entitlement.storage);
+    }
+    this.canStore = canStore;
+}
+
+/**
+ * Provides keyboard shortcuts.
+ *
+ * A shortcut belongs to a scope. A scope is the ID of a window, the bundle ID
+ * of an app, or `os`. When a key is pressed, the shortcut registered by the
+ * focused window is performed first, then the active app's, then the OS's.
+ *
+ * Menu options define shortcuts with the `data-key` attribute e.g.
+ * ```
+ * <option data-key="cmd+s" onclick="$(this.controller).save();">Save</option>
+ * ```
+ *
+ * Keys are a combination of modifiers (`cmd`, `ctrl`, `alt`, `shift`) and a
+ * key, separated by `+`. `cmd` is the Command key on macOS and Control key
+ * on all other platforms.
+ *
+ * Registering a key that is already registered in the same scope is a
+ * conflict. The conflict is reported and the second shortcut is ignored.
+ */
+function KeyboardShortcuts(os) {
+
+    // Keys that edit text. When a text field has focus, these are left to
+    // the text field.
+    const TEXT_EDITING_KEYS = ["cmd+a", "cmd+c", "cmd+v", "cmd+x", "cmd+z", "cmd+shift+z"];
+
+    // Order in which modifiers are written in a normalized key
+    const MODIFIERS = ["cmd", "ctrl", "alt", "shift"];
+
+    const SYMBOLS = {
+        cmd: "⌘",
+        ctrl: "⌃",
+        alt: "⌥",
+        shift: "⇧",
+        tab: "⇥",
+        enter: "↩",
+        escape: "⎋",
+        backspace: "⌫"
+    };
+
+    let isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+
+    // {scope:{key:object{id:fn:name:}}}
+    let shortcuts = {};
+
+    // Conflicts detected when registering shortcuts
+    // [object{key:scope:name:existing:}]
+    let conflicts = [];
+
+    /**
+     * Returns key in normalized form.
+     *
+     * e.g. `Shift+Cmd+S` returns `cmd+shift+s`
+     *
+     * @param {string} key - Key combination
+     * @returns {string}
+     * @throws if key has no non-modifier key
+     */
+    function normalize(key) {
+        let parts = key.toLowerCase().split("+").map(p => p.trim());
+        let mods = MODIFIERS.filter(m => parts.includes(m));
+        let rest = parts.filter(p => !MODIFIERS.includes(p));
+        if (rest.length !== 1 || isEmpty(rest[0])) {
+            throw new Error(`Invalid keyboard shortcut (${key})`);
+        }
+        return [...mods, rest[0]].join("+");
+    }
+    this.normalize = normalize;
+
+    /**
+     * Returns the normalized key for a keyboard event.
+     *
+     * @param {KeyboardEvent} event
+     * @returns {string}
+     */
+    function eventKey(event) {
+        let mods = [];
+        if ((isMac && event.metaKey) || (!isMac && event.ctrlKey)) {
+            mods.push("cmd");
+        }
+        if (isMac && event.ctrlKey) {
+            mods.push("ctrl");
+        }
+        if (event.altKey) {
+            mods.push("alt");
+        }
+        if (event.shiftKey) {
+            mods.push("shift");
+        }
+        // `event.key` is affected by modifiers e.g. alt+q is `œ` on macOS
+        let key = event.code?.startsWith("Key") ? event.code.slice(3) : event.key;
+        if (event.code?.startsWith("Digit")) {
+            key = event.code.slice(5);
+        }
+        return [...mods, key.toLowerCase()].join("+");
+    }
+
+    /**
+     * Returns key in the form displayed in menus.
+     *
+     * e.g. `cmd+shift+s` returns `⌘⇧S`
+     *
+     * @param {string} key - Key combination
+     * @returns {string}
+     */
+    function label(key) {
+        return normalize(key).split("+").map(function (part) {
+            return SYMBOLS[part] ?? part.toUpperCase();
+        }).join("");
+    }
+    this.label = label;
+
+    /**
+     * Register a keyboard shortcut.
+     *
+     * @param {string} key - Key combination e.g. `cmd+s`
+     * @param {function} fn - Performed when key is pressed
+     * @param {string} scope - Window ID, app bundle ID, or `os`
+     * @param {string?} name - Name of shortcut. Used when reporting conflicts.
+     * @returns {string?} Shortcut ID. `null` if the shortcut conflicts with another shortcut.
+     */
+    function register(key, fn, scope, name) {
+        if (typeof fn !== "function") {
+            throw new Error(`Keyboard shortcut (${key}) must provide a function`);
+        }
+        key = normalize(key);
+        if (!(scope in shortcuts)) {
+            shortcuts[scope] = {};
+        }
+        let existing = shortcuts[scope][key];
+        if (!isEmpty(existing)) {
+            conflicts.push({key: key, scope: scope, name: name, existing: existing.name});
+            console.warn(`Keyboard shortcut (${key}) for (${name}) conflicts with (${existing.name}) in scope (${scope}). It will be ignored.`);
+            return null;
+        }
+        if (scope !== "os" && key in (shortcuts["os"] ?? {})) {
+            console.warn(`Keyboard shortcut (${key}) for (${name}) in scope (${scope}) overrides OS shortcut (${shortcuts["os"][key].name})`);
+        }
+        let id = makeObjectId();
+        shortcuts[scope][key] = {id: id, fn: fn, name: name};
+        return id;
+    }
+    this.register = register;
+
+    /**
+     * Remove a keyboard shortcut.
+     *
+     * @param {string} id - Shortcut ID returned by `register`
+     */
+    function unregister(id) {
+        for (let scope in shortcuts) {
+            for (let key in shortcuts[scope]) {
+                if (shortcuts[scope][key].id === id) {
+                    delete shortcuts[scope][key];
+                    return;
+                }
+            }
+        }
+    }
+    this.unregister = unregister;
+
+    /**
+     * Remove all shortcuts in scope.
+     *
+     * This is called when a window closes or an application stops.
+     *
+     * @param {string} scope - Window ID or app bundle ID
+     */
+    function removeShortcuts(scope) {
+        delete shortcuts[scope];
+    }
+    this.removeShortcuts = removeShortcuts;
+
+    /**
+     * Register all menu options, in element, that define a `data-key`.
+     *
+     * Disabled options are not performed.
+     *
+     * @param {HTMLElement} element - Element that contains `ui-menu`s
+     * @param {string} scope - Window ID, app bundle ID, or `os`
+     */
+    function registerMenus(element, scope) {
+        let options = element.querySelectorAll("option[data-key]");
+        for (let i = 0; i < options.length; i++) {
+            let option = options[i];
+            register(option.dataset.key, function () {
+                if (option.disabled || option.onclick === null) {
+                    return;
+                }
+                option.onclick();
+            }, scope, option.textContent.trim());
+        }
+    }
+    this.registerMenus = registerMenus;
+
+    /**
+     * Returns all conflicts detected when registering shortcuts.
+     *
+     * @returns [object{key:scope:name:existing:}]
+     */
+    function getConflicts() {
+        return [...conflicts];
+    }
+    this.conflicts = getConflicts;
+
+    /**
+     * Returns `true` if element accepts text input.
+     */
+    function isEditable(element) {
+        return element?.isContentEditable === true ||
+            ["INPUT", "TEXTAREA", "SELECT"].includes(element?.tagName);
+    }
+
+    /**
+     * Perform the shortcut, if any, for the pressed key.
+     */
+    function didPressKey(event) {
+        // Only modified keys are shortcuts
+        if (!event.metaKey && !event.ctrlKey && !event.altKey) {
+            return;
+        }
+        let key = eventKey(event);
+        if (isEditable(event.target) && TEXT_EDITING_KEYS.includes(key)) {
+            return;
+        }
+
+        let win = os.ui.focusedWindow();
+        let scopes = [
+            win?.ui.id,
+            win?.ui.bundleId ?? os.activeApplication()?.bundleId,
+            "os"
+        ];
+        for (let scope of scopes) {
+            let shortcut = shortcuts[scope]?.[key];
+            if (isEmpty(shortcut)) {
+                continue;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            shortcut.fn();
+            return;
+        }
+    }
+
+    /**
+     * Register OS shortcuts and start listening to key presses.
+     */
+    function init() {
+        register("alt+q", function () {
+            let app = os.activeApplication();
+            if (!isEmpty(app)) {
+                os.closeApplication(app.bundleId);
+            }
+        }, "os", "Quit Application");
+        register("alt+w", function () {
+            os.ui.focusedWindow()?.ui.performClose();
+        }, "os", "Close Window");
+        register("alt+s", function () {
+            os.ui.appSwitcher.show();
+        }, "os", "Switch Application");
+
+        let bar = document.getElementById("os-bar-menus");
+        if (!isEmpty(bar)) {
+            registerMenus(bar, "os");
+        }
+
+        document.addEventListener("keydown", didPressKey);
+    }
+    this.init = init;
+}
+
+/**
+ * Well-known pasteboard types.
+ *
+ * Apps may copy JSON with their own type identifier. Type identifiers
+ * should be prefixed with the app's bundle ID e.g.
+ * `io.bithead.test-manager.test-case`.
+ */
+const PasteboardType = {
+    text: "public.text",
+    html: "public.html",
+    image: "public.image",
+    // A list of `File`s dropped from outside of BOSS
+    files: "public.files"
+};
+
+/**
+ * An item copied to the pasteboard.
+ *
+ * An item may have more than one representation of the same content. e.g. A
+ * test case may be copied as JSON, for apps that understand test cases, and
+ * as text, for everything else.
+ *
+ * @param {object} representations - Data for each type e.g. `{"public.text": "Hello"}`. Images must be a `Blob`.
+ * @param {string?} bundleId - Bundle ID of app that copied the item
+ */
+function PasteboardItem(representations, bundleId) {
+    representations = {...representations};
+
+    // Items always have a text representation, so that they may be pasted
+    // into text fields. The first JSON representation is used when text is
+    // not provided.
+    if (!(PasteboardType.text in representations)) {
+        let type = Object.keys(representations).find(t => !Object.values(PasteboardType).includes(t));
+        if (!isEmpty(type)) {
+            representations[PasteboardType.text] = JSON.stringify(representations[type]);
+        }
+    }
+
+    readOnly(this, "date", new Date());
+    readOnly(this, "bundleId", bundleId ?? null);
+    readOnly(this, "types", Object.keys(representations));
+
+    /**
+     * Returns the item's data for type.
+     *
+     * @param {string} type - Pasteboard type
+     * @returns {any?} `null` if item has no representation for type
+     */
+    function data(type) {
+        return representations[type] ?? null;
+    }
+    this.data = data;
+
+    /**
+     * Returns `true` if the item has a representation for any of the types.
+     *
+     * @param {string|string[]} types - Pasteboard type(s)
+     * @returns {bool}
+     */
+    function has(types) {
+        types = isString(types) ? [types] : types;
+        return types.some(t => t in representations);
+    }
+    this.has = has;
+
+    /**
+     * Returns a short, human readable, description of the item.
+     *
+     * @returns {string}
+     */
+    function summary() {
+        let text = representations[PasteboardType.text];
+        if (!isEmpty(text)) {
+            return text.length > 60 ? `${text.substring(0, 60)}…` : text;
+        }
+        if (PasteboardType.image in representations) {
+            return "Image";
+        }
+        return Object.keys(representations).join(", ");
+    }
+    this.summary = summary;
+}
+
+/**
+ * Returns an item for data copied, or dragged, from outside of BOSS.
+ *
+ * @param {DataTransfer?} dataTransfer - From a paste or drop event
+ * @returns {PasteboardItem?} `null` if there is no data
+ */
+function makePasteboardItem(dataTransfer) {
+    let representations = {};
+    let text = dataTransfer?.getData("text/plain");
+    if (!isEmpty(text)) {
+        representations[PasteboardType.text] = text;
+    }
+    let html = dataTransfer?.getData("text/html");
+    if (!isEmpty(html)) {
+        representations[PasteboardType.html] = html;
+    }
+    let files = Array.from(dataTransfer?.files ?? []);
+    let image = files.find(f => f.type.startsWith("image/"));
+    if (!isEmpty(image)) {
+        representations[PasteboardType.image] = image;
+    }
+    if (files.length > 0) {
+        representations[PasteboardType.files] = files;
+    }
+    return isEmpty(representations) ? null : new PasteboardItem(representations);
+}
+
+/**
+ * Provides the `os.pasteboard` API.
+ *
+ * Copying to the pasteboard also writes the item's text, HTML, and image
+ * representations to the system clipboard. Custom types are only available
+ * to BOSS apps.
+ *
+ * Controllers receive pastes by registering a paste handler, for the types
+ * they understand, with `UIWindow.onPaste`. When the user pastes, handlers
+ * of the focused window are given the item first, followed by handlers of
+ * the active app. Pastes into text fields are left to the text field.
+ *
+ * Recently copied items are kept in a history which may be viewed from the
+ * system menu.
+ *
+ * Apps must declare the `clipboard` entitlement to use the pasteboard.
+ *
+ * @param {OS} os - OS instance
+ */
+function Pasteboard(os) {
+
+    // Maximum number of items kept in history
+    const MAX_HISTORY = 25;
+
+    // Posted when an item is copied, or history changes
+    const CHANGE_NOTIFICATION = "io.bithead.boss.pasteboard.didChange";
+
+    // Most recent item first
+    // [PasteboardItem]
+    let history = [];
+
+    // {owner:[object{id:types:fn:}]}
+    let handlers = {};
+
+    /**
+     * Write item's representations to the system clipboard.
+     *
+     * @param {PasteboardItem} item
+     */
+    async function writeSystemClipboard(item) {
+        let text = item.data(PasteboardType.text) ?? "";
+        try {
+            if (typeof ClipboardItem === "undefined" || isEmpty(navigator.clipboard?.write)) {
+                await navigator.clipboard.writeText(text);
+                return;
+            }
+            let blobs = {"text/plain": new Blob([text], {type: "text/plain"})};
+            let html = item.data(PasteboardType.html);
+            if (!isEmpty(html)) {
+                blobs["text/html"] = new Blob([html], {type: "text/html"});
+            }
+            let image = item.data(PasteboardType.image);
+            if (!isEmpty(image)) {
+                blobs[image.type] = image;
+            }
+            await navigator.clipboard.write([new ClipboardItem(blobs)]);
+        }
+        catch (error) {
+            console.warn("Failed to write to system clipboard", error);
+        }
+    }
+
+    /**
+     * Copy an item to the pasteboard.
+     *
+     * Objects that are not text, HTML, or images are stored as-is, and should
+     * be JSON serializable.
+     *
+     * ```
+     * os.pasteboard.copy({
+     *     "io.bithead.test-manager.test-case": testCase,
+     *     "public.text": testCase.name
+     * }, "io.bithead.test-manager");
+     * ```
+     *
+     * @param {object} representations - Data for each type
+     * @param {string?} bundleId - Bundle ID of app copying the item
+     * @returns {PasteboardItem}
+     */
+    async function copy(representations, bundleId) {
+        if (isEmpty(representations)) {
+            throw new Error("Pasteboard item must have at least one representation");
+        }
+        await os.entitlements.authorize(Entitlement.clipboard);
+
+        let item = new PasteboardItem(representations, bundleId);
+        history.unshift(item);
+        history = history.slice(0, MAX_HISTORY);
+
+        await writeSystemClipboard(item);
+        os.notifications.post(CHANGE_NOTIFICATION, item);
+        return item;
+    }
+    this.copy = copy;
+
+    /**
+     * Copy text to the pasteboard.
+     *
+     * @param {string} text - Text to copy
+     * @param {string?} bundleId - Bundle ID of app copying the text
+     * @returns {PasteboardItem}
+     */
+    async function copyText(text, bundleId) {
+        return await copy({[PasteboardType.text]: text}, bundleId);
+    }
+    this.copyText = copyText;
+
+    /**
+     * Returns the most recently copied item.
+     *
+     * @returns {PasteboardItem?}
+     */
+    function item() {
+        os.entitlements.check(Entitlement.clipboard);
+        return history[0] ?? null;
+    }
+    this.item = item;
+
+    /**
+     * Returns the most recently copied item's data for type.
+     *
+     * @param {string} type - Pasteboard type
+     * @returns {any?}
+     */
+    function data(type) {
+        return item()?.data(type) ?? null;
+    }
+    this.data = data;
+
+    /**
+     * Returns copied items, most recent first.
+     *
+     * @returns {[PasteboardItem]}
+     */
+    function getHistory() {
+        os.entitlements.check(Entitlement.clipboard);
+        return [...history];
+    }
+    this.history = getHistory;
+
+    /**
+     * Copy an item from history to the pasteboard again.
+     *
+     * @param {int} index - Index of item in history
+     */
+    async function restore(index) {
+        await os.entitlements.authorize(Entitlement.clipboard);
+        let item = history[index];
+        if (isEmpty(item)) {
+            throw new Error(`Pasteboard history has no item at index (${index})`);
+        }
+        history.splice(index, 1);
+        history.unshift(item);
+        await writeSystemClipboard(item);
+        os.notifications.post(CHANGE_NOTIFICATION, item);
+    }
+    this.restore = restore;
+
+    /**
+     * Remove all items from history.
+     */
+    function clearHistory() {
+        history = [];
+        os.notifications.post(CHANGE_NOTIFICATION, null);
+    }
+    this.clearHistory = clearHistory;
+
+    /**
+     * Register a paste handler.
+     *
+     * Prefer `UIWindow.onPaste`, which removes the handler when the window
+     * closes.
+     *
+     * @param {string|string[]} types - Pasteboard types the handler accepts
+     * @param {function} fn - Called with the pasted item `fn(PasteboardItem)`
+     * @param {string} owner - ID of window, or bundle ID of app, that owns the handler
+     * @returns {string} Handler ID
+     */
+    function addPasteHandler(types, fn, owner) {
+        let id = makeObjectId();
+        if (!(owner in handlers)) {
+            handlers[owner] = [];
+        }
+        handlers[owner].push({
+            id: id,
+            types: isString(types) ? [types] : types,
+            fn: fn
+        });
+        return id;
+    }
+    this.addPasteHandler = addPasteHandler;
+
+    /**
+     * Remove a paste handler.
+     *
+     * @param {string} id - Handler ID
+     */
+    function removePasteHandler(id) {
+        for (let owner in handlers) {
+            handlers[owner] = handlers[owner].filter(h => h.id !== id);
+        }
+    }
+    this.removePasteHandler = removePasteHandler;
+
+    /**
+     * Remove all paste handlers belonging to owner.
+     *
+     * @param {string} owner - ID of window, or bundle ID of app
+     */
+    function removePasteHandlers(owner) {
+        delete handlers[owner];
+    }
+    this.removePasteHandlers = removePasteHandlers;
+
+    /**
+     * Returns the item being pasted from a paste event.
+     *
+     * If the system clipboard contains what was last copied, the copied item,
+     * with all of its representations, is returned. Otherwise, the item was
+     * copied from outside of BOSS.
+     *
+     * @param {ClipboardEvent} event
+     * @returns {PasteboardItem?}
+     */
+    function pastedItem(event) {
+        let clipboard = event.clipboardData;
+        let text = clipboard?.getData("text/plain") ?? "";
+        let last = item();
+        if (!isEmpty(last) && (last.data(PasteboardType.text) ?? "") === text) {
+            return last;
+        }
+        return makePasteboardItem(clipboard);
+    }
+
+    /**
+     * Provide the pasted item to the first handler that accepts it.
+     *
+     * @param {ClipboardEvent} event
+     */
+    function didPaste(event) {
+        let target = event.target;
+        if (target?.isContentEditable || ["INPUT", "TEXTAREA"].includes(target?.tagName)) {
+            return;
+        }
+
+        let pasted = pastedItem(event);
+        if (isEmpty(pasted)) {
+            return;
+        }
+
+        let win = os.ui.focusedWindow();
+        let owners = [
+            win?.ui.id,
+            win?.ui.bundleId ?? os.activeApplication()?.bundleId
+        ];
+        for (let owner of owners) {
+            let handler = handlers[owner]?.find(h => pasted.has(h.types));
+            if (isEmpty(handler)) {
+                continue;
+            }
+            event.preventDefault();
+            try {
+                handler.fn(pasted);
+            }
+            catch (error) {
+                console.error(`Paste handler for (${owner}) failed`, error);
+            }
+            return;
+        }
+    }
+
+    /**
+     * Start listening to paste events.
+     */
+    function init() {
+        document.addEventListener("paste", didPaste);
+    }
+    this.init = init;
+}
+
+/**
+ * Displays non-blocking notifications and keeps a history of them in the OS
+ * bar's notification tray.
+ *
+ * A notification is displayed as a toast that dismisses itself. Clicking a
+ * notification switches to the app that posted it and calls its `handler`.
+ *
+ * e.g.
+ * ```
+ * os.notify({
+ *     title: "Test run finished",
+ *     body: "12 of 12 tests passed",
+ *     handler: function (notification) { ... },
+ *     actions: [{title: "View", fn: function (notification) { ... }}]
+ * });
+ * ```
+ *
+ * @param {OS} os - OS instance
+ */
+function NotificationTray(os) {
+
+    // Milliseconds a toast is displayed before it dismisses itself
+    const TOAST_DURATION = 5000;
+
+    // Toasts with actions are displayed longer
+    const TOAST_WITH_ACTIONS_DURATION = 10000;
+
+    // Maximum number of notifications retained in history
+    const MAX_HISTORY = 50;
+
+    // Notifications, newest first
+    let history = [];
+
+    // Number of notifications posted since the tray was last opened
+    let unread = 0;
+
+    // Displays toasts above all windows
+    let toasts = null;
+
+    /**
+     * Post a notification.
+     *
+     * @param {object} options - Notification options
+     * @param {string} options.title - Title of notification
+     * @param {string?} options.body - Message
+     * @param {[object{title:string,fn:function}]?} options.actions - Buttons displayed in toast `fn(notification)`
+     * @param {function?} options.handler - Called when notification is clicked `fn(notification)`
+     * @param {string?} options.bundleId - App posting notification. Defaults to the calling app.
+     * @returns {object} Notification
+     */
+    function notify(options) {
+        if (isEmpty(options?.title)) {
+            throw new Error("A notification must have a title");
+        }
+        let bundleId = options.bundleId ?? os.callingApplication()?.bundleId ?? "io.bithead.boss";
+        let notification = {
+            id: makeObjectId(),
+            date: new Date(),
+            bundleId: bundleId,
+            title: options.title,
+            body: options.body ?? null,
+            actions: options.actions ?? [],
+            handler: options.handler ?? null
+        };
+
+        history.unshift(notification);
+        history = history.slice(0, MAX_HISTORY);
+        unread += 1;
+
+        showToast(notification);
+        renderTray();
+        os.notifications.post("io.bithead.boss.notifications.didPost", {id: notification.id, bundleId: bundleId});
+        return notification;
+    }
+    this.notify = notify;
+
+    /**
+     * Returns all notifications, newest first.
+     *
+     * @returns {[object]}
+     */
+    function getHistory() {
+        return [...history];
+    }
+    this.history = getHistory;
+
+    /**
+     * Remove a notification from history.
+     *
+     * @param {string} id - Notification ID
+     */
+    function remove(id) {
+        history = history.filter(n => n.id !== id);
+        renderTray();
+    }
+    this.remove = remove;
+
+    /**
+     * Remove all notifications from history.
+     */
+    function clear() {
+        history = [];
+        unread = 0;
+        renderTray();
+    }
+    this.clear = clear;
+
+    /**
+     * Switch to the app that posted the notification and call `fn`.
+     *
+     * @param {object} notification
+     * @param {function?} fn - Notification handler, or action, to call
+     */
+    async function activate(notification, fn) {
+        closeTray();
+        let app = os.loadedApplications().find(a => a.bundleId === notification.bundleId);
+        if (isEmpty(app)) {
+            // NOTE: The handler belongs to the instance of the app that quit
+            await os.openApplication(notification.bundleId);
+            return;
+        }
+        os.switchApplication(notification.bundleId);
+        os.ui.focusTopWindow();
+        if (!isEmpty(fn)) {
+            fn(notification);
+        }
+    }
+
+    /**
+     * Returns the element that displays a notification.
+     *
+     * @param {object} notification
+     * @param {bool} isToast - `true` if displayed as a toast
+     * @returns {HTMLElement}
+     */
+    function makeNotificationElement(notification, isToast) {
+        let div = document.createElement("div");
+        div.classList.add("ui-notification");
+
+        let title = document.createElement("div");
+        title.classList.add("title");
+        let app = os.loadedApplications().find(a => a.bundleId === notification.bundleId);
+        title.innerText = isEmpty(app) ? notification.title : `${app.name}: ${notification.title}`;
+        div.appendChild(title);
+
+        if (!isEmpty(notification.body)) {
+            let body = document.createElement("div");
+            body.classList.add("body");
+            body.innerText = notification.body;
+            div.appendChild(body);
+        }
+
+        if (!isToast) {
+            let date = document.createElement("div");
+            date.classList.add("date");
+            date.innerText = os.l10n.formatDate(notification.date, "time");
+            div.appendChild(date);
+        }
+
+        if (isToast && !isEmpty(notification.actions)) {
+            let controls = document.createElement("div");
+            controls.classList.add("controls");
+            for (let action of notification.actions) {
+                let button = document.createElement("button");
+                button.classList.add("default");
+                button.innerText = action.title;
+                button.addEventListener("click", function (event) {
+                    event.stopPropagation();
+                    div.remove();
+                    activate(notification, action.fn);
+                });
+                controls.appendChild(button);
+            }
+            div.appendChild(controls);
+        }
+
+        div.addEventListener("click", function () {
+            div.remove();
+            activate(notification, notification.handler);
+        });
+        return div;
+    }
+
+    function showToast(notification) {
+        if (isEmpty(toasts)) {
+            return;
+        }
+        let toast = makeNotificationElement(notification, true);
+        toasts.appendChild(toast);
+        let duration = isEmpty(notification.actions) ? TOAST_DURATION : TOAST_WITH_ACTIONS_DURATION;
+        setTimeout(function () {
+            toast.remove();
+        }, duration);
+    }
+
+    function tray() {
+        return document.getElementById("notification-tray");
+    }
+
+    function closeTray() {
+        tray()?.classList.remove("open");
+    }
+
+    /**
+     * Toggle the display of notification history.
+     */
+    function toggleTray() {
+        let elem = tray();
+        if (isEmpty(elem)) {
+            return;
+        }
+        elem.classList.toggle("open");
+        if (elem.classList.contains("open")) {
+            unread = 0;
+            renderTray();
+        }
+    }
+    this.toggleTray = toggleTray;
+
+    /**
+     * Render the unread count and notification history.
+     */
+    function renderTray() {
+        let elem = tray();
+        if (isEmpty(elem)) {
+            return;
+        }
+
+        let badge = elem.querySelector(".badge");
+        badge.innerText = unread > 0 ? `${unread}` : "";
+        badge.style.display = unread > 0 ? null : "none";
+
+        let list = elem.querySelector(".history");
+        list.innerHTML = "";
+        if (isEmpty(history)) {
+            let empty = document.createElement("div");
+            empty.classList.add("empty");
+            empty.innerText = os.l10n.string("noNotifications");
+            list.appendChild(empty);
+            return;
+        }
+
+        let clearButton = document.createElement("button");
+        clearButton.classList.add("default");
+        clearButton.innerText = os.l10n.string("clearNotifications");
+        clearButton.addEventListener("click", function (event) {
+            event.stopPropagation();
+            clear();
+        });
+        list.appendChild(clearButton);
+
+        for (let notification of history) {
+            list.appendChild(makeNotificationElement(notification, false));
+        }
+    }
+
+    /**
+     * Create the toast container and the OS bar's notification tray.
+     *
+     * The tray is displayed only if the OS bar has a `#notification-tray`.
+     */
+    function init() {
+        toasts = document.createElement("div");
+        toasts.id = "notifications";
+        (document.getElementById("desktop") ?? document.body).appendChild(toasts);
+
+        let elem = tray();
+        if (isEmpty(elem)) {
+            return;
+        }
+        elem.innerHTML = `<img src="/boss/img/info.svg"><span class="badge" style="display: none;"></span><div class="history"></div>`;
+        elem.querySelector("img").addEventListener("click", toggleTray);
+        elem.querySelector(".badge").addEventListener("click", toggleTray);
+    }
+    this.init = init;
+}
+
+/**
+ * Provides system-wide search from the OS bar.
+ *
+ * Apps provide search results in one of two ways.
+ *
+ * An app may declare a search endpoint in its `application.json`. The
+ * endpoint is sent `{term: string}` and must respond with
+ * `{results: [{id:, name:, config:}]}`. A result is opened by the first
+ * entry, in `open`, whose `requires` keys all exist in `result.config`. The
+ * entry's `controller` is shown and configured with the values of
+ * `result.config` named in `configure`, in order. Results that no entry can
+ * open are not displayed.
+ * ```
+ * "search": {
+ *     "endpoint": "/test/search",
+ *     "open": [
+ *         {"controller": "TestSuiteEditor", "configure": ["testSuiteID", "testCaseID"], "requires": ["testSuiteID"]},
+ *         {"controller": "TestSuites", "configure": ["projectID"], "requires": ["projectID"]}
+ *     ]
+ * }
+ * ```
+ *
+ * A running app may register a search function e.g. from its application
+ * controller. The provider is removed when the app quits.
+ * ```
+ * os.search.register(async function (term) {
+ *     return [{title: "Result", subtitle: "Detail", open: function () { ... }}];
+ * });
+ * ```
+ *
+ * Every provider is searched in parallel. Results are grouped by app.
+ */
+function GlobalSearch(os) {
+
+    // Providers registered by running apps
+    // {id:object{bundleId:string,search:function,resource:object}}
+    let providers = {};
+
+    // Installed app manifests, loaded when first searched
+    // {bundleId:Promise<object?>}
+    let manifests = {};
+
+    // Incremented for every query. Results of a previous query are ignored.
+    let queryId = 0;
+
+    /**
+     * Register a search provider.
+     *
+     * @param {function} fn - `async fn(term)` returns `[object{title:string,subtitle:string?,open:function}]`
+     * @param {string?} bundleId - App providing results. Defaults to the calling app.
+     * @returns {string} Provider ID
+     * @throws if the provider does not belong to a running app
+     */
+    function register(fn, bundleId) {
+        if (typeof fn !== "function") {
+            throw new Error("A search provider must provide a function");
+        }
+        bundleId = bundleId ?? os.callingApplication()?.bundleId;
+        if (isEmpty(bundleId)) {
+            throw new Error("A search provider must belong to an app");
+        }
+        let id = makeObjectId();
+        let resource = os.resources.track(bundleId, "search", "Search provider", function () {
+            delete providers[id];
+        });
+        providers[id] = {bundleId: bundleId, search: fn, resource: resource};
+        return id;
+    }
+    this.register = register;
+
+    /**
+     * Remove a search provider.
+     *
+     * @param {string} id - Provider ID returned by `register`
+     */
+    function unregister(id) {
+        let provider = providers[id];
+        if (isEmpty(provider)) {
+            return;
+        }
+        os.resources.untrack(provider.resource);
+        delete providers[id];
+    }
+    this.unregister = unregister;
+
+    /**
+     * Returns an installed app's manifest.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {object?} `null` if the manifest could not be loaded
+     */
+    function manifest(bundleId) {
+        if (!(bundleId in manifests)) {
+            manifests[bundleId] = os.network.get(`/boss/app/${bundleId}/application.json`)
+                .catch(function (error) {
+                    console.warn(`Failed to load application (${bundleId}) manifest for search`, error);
+                    return null;
+                });
+        }
+        return manifests[bundleId];
+    }
+
+    /**
+     * Returns providers declared in installed apps' `application.json`.
+     *
+     * @returns {[object{bundleId:string,search:function}]}
+     */
+    async function declaredProviders() {
+        let apps = os.installedApplications();
+        let configs = await Promise.all(apps.map(app => manifest(app.id)));
+        let declared = [];
+        for (let i = 0; i < apps.length; i++) {
+            let def = configs[i]?.application?.search;
+            if (isEmpty(def)) {
+                continue;
+            }
+            let bundleId = apps[i].id;
+            declared.push({bundleId: bundleId, search: async function (term) {
+                let response = await os.network.post(def.endpoint, {term: term});
+                let results = [];
+                for (let result of response?.results ?? []) {
+                    let target = def.open.find(function (entry) {
+                        return (entry.requires ?? []).every(key => !isEmpty(result.config?.[key]));
+                    });
+                    if (isEmpty(target)) {
+                        continue;
+                    }
+                    results.push({
+                        title: result.name,
+                        subtitle: null,
+                        open: function () {
+                            return openResult(bundleId, target, result);
+                        }
+                    });
+                }
+                return results;
+            }});
+        }
+        return declared;
+    }
+
+    /**
+     * Open the app, and controller, declared to show a result.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {object} def - Entry of `application.search.open` that opens the result
+     * @param {object} result - Result returned by the search endpoint
+     */
+    async function openResult(bundleId, def, result) {
+        let app = await os.openApplication(bundleId);
+        let ctrl = await app.loadController(def.controller);
+        let args = (def.configure ?? []).map(key => result.config?.[key]);
+        ctrl.ui.show(function (controller) {
+            if (!isEmpty(def.configure)) {
+                controller.configure(...args);
+            }
+        });
+    }
+
+    /**
+     * Returns the name, and icon, displayed for an app's results.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {object{name:string,icon:string?}}
      */
-    function patchSystemLogger(fn) {
-        if (isEmpty(originalLogger)) {
-            originalLogger = console.log;
+    function appInfo(bundleId) {
+        let loaded = os.loadedApplications().find(a => a.bundleId === bundleId);
+        if (!isEmpty(loaded)) {
+            let icon = isEmpty(loaded.icon) ? null : `/boss/app/${bundleId}/${loaded.icon}`;
+            return {name: loaded.name, icon: icon};
         }
-        currentLogger = function (value) {
-            fn(value);
-            originalLogger(value);
+        let installed = os.installedApplications().find(a => a.id === bundleId);
+        let name = installed?.name ?? bundleId;
+        // Installed app names may contain their icon e.g. `img:/path/icon.svg,Name`
+        if (name.startsWith("img:")) {
+            let parts = name.substring(4).split(",");
+            let icon = parts.shift();
+            return {name: parts.join(","), icon: icon};
         }
-        console.log = currentLogger;
+        return {name: name, icon: null};
     }
-    this.patchSystemLogger = patchSystemLogger;
 
     /**
-     * Unpatch (reset) the `console.log` function.
+     * Search every provider.
+     *
+     * Providers that fail are logged and excluded from the results.
+     *
+     * @param {string} term - Search term
+     * @returns {[object{bundleId:string,name:string,icon:string?,results:[object{title:subtitle:open:}]}]} Results grouped by app
      */
-    function unpatchSystemLogger() {
-        if (isEmpty(originalLogger)) {
-            return;
+    async function query(term) {
+        term = term?.trim();
+        if (isEmpty(term)) {
+            return [];
+        }
+
+        let all = [...Object.values(providers), ...await declaredProviders()];
+        let responses = await Promise.all(all.map(async function (provider) {
+            try {
+                return await provider.search(term) ?? [];
+            }
+            catch (error) {
+                console.warn(`Search provider for app (${provider.bundleId}) failed`, error);
+                return [];
+            }
+        }));
+
+        let groups = {};
+        for (let i = 0; i < all.length; i++) {
+            let bundleId = all[i].bundleId;
+            if (isEmpty(responses[i])) {
+                continue;
+            }
+            if (!(bundleId in groups)) {
+                groups[bundleId] = {bundleId: bundleId, ...appInfo(bundleId), results: []};
+            }
+            groups[bundleId].results.push(...responses[i]);
         }
-        console.log = originalLogger;
-        currentLogger = null;
-        originalLogger = null;
+        return Object.values(groups);
     }
-    this.unpatchSystemLogger = unpatchSystemLogger;
+    this.query = query;
 
-    /**
-     * Log user out of system.
-     */
-    function logOut() {
-        os.ui.showDeleteModal("Are you sure you want to log out?", null, async function() {
-            os.network.get('/account/signout');
-        });
+    function container() {
+        return document.getElementById("os-bar-search");
+    }
+
+    function closeResults() {
+        container()?.classList.remove("open");
     }
-    this.logOut = logOut;
 
     /**
-     * Sign user into system.
+     * Switch to the result's app and open the result.
      *
-     * @param {string} username - The username that is signed in
+     * @param {string} bundleId - App bundle ID
+     * @param {object} result
      */
-    function signIn(username) {
-        this.username = username;
-
-        // Update the OS bar
-        var option = document.getElementById("log-out-of-system");
-        if (option === null) {
-            console.warn("Signed in but not showing OS bar");
-            return;
+    async function choose(bundleId, result) {
+        closeResults();
+        if (os.loadedApplications().some(a => a.bundleId === bundleId)) {
+            os.switchApplication(bundleId);
+        }
+        try {
+            await result.open();
+        }
+        catch (error) {
+            console.error(`Failed to open search result (${result.title}) in app (${bundleId})`, error);
         }
-        option.innerHTML = "Log out " + username + "...";
     }
 
-    this.signIn = signIn;
-
     /**
-     * Get the current time formatted in DDD MMM dd HH:MM AA.
+     * Render search results below the search field.
      *
-     * e.g. Fri Nov 15 9:24 PM
-     *
-     * @returns formatted string
+     * @param {[object]?} groups - Results grouped by app. `null` while searching.
      */
-    function getCurrentFormattedTime() {
-        const date = new Date();
-
-        // Get parts of the date
-        const day = date.toLocaleString('default', { weekday: 'short' });  // Short day name
-        const month = date.toLocaleString('default', { month: 'short' });  // Short month name
-        const dayOfMonth = date.getDate();
-        const hours = date.getHours();
-        const minutes = date.getMinutes();
+    function renderResults(groups) {
+        let elem = container();
+        let list = elem.querySelector(".results");
+        list.innerHTML = "";
+        elem.classList.add("open");
 
-        // Determine AM or PM
-        const ampm = hours >= 12 ? 'PM' : 'AM';
-
-        // Convert to 12-hour format
-        let formattedHours = hours % 12 || 12;
+        if (isEmpty(groups)) {
+            let empty = document.createElement("div");
+            empty.classList.add("empty");
+            empty.innerText = os.l10n.string(groups === null ? "searching" : "noSearchResults");
+            list.appendChild(empty);
+            return;
+        }
 
-        // 9:23 PM
-        const time = `${formattedHours}:${minutes < 10 ? '0' + minutes : minutes} ${ampm}`;
+        for (let group of groups) {
+            let header = document.createElement("div");
+            header.classList.add("app");
+            if (!isEmpty(group.icon)) {
+                let img = document.createElement("img");
+                img.src = group.icon;
+                header.appendChild(img);
+            }
+            let name = document.createElement("span");
+            name.innerText = group.name;
+            header.appendChild(name);
+            list.appendChild(header);
 
-        // e.g. Fri Nov 15 9:23 PM
-        return `${day} ${month} ${dayOfMonth} ${time}`;
+            for (let result of group.results) {
+                let div = document.createElement("div");
+                div.classList.add("result");
+                let title = document.createElement("div");
+                title.classList.add("title");
+                title.innerText = result.title;
+                div.appendChild(title);
+                if (!isEmpty(result.subtitle)) {
+                    let subtitle = document.createElement("div");
+                    subtitle.classList.add("subtitle");
+                    subtitle.innerText = result.subtitle;
+                    div.appendChild(subtitle);
+                }
+                div.addEventListener("click", function (event) {
+                    event.stopPropagation();
+                    choose(group.bundleId, result);
+                });
+                list.appendChild(div);
+            }
+        }
     }
 
     /**
-     * Update the clock's time.
+     * Search for the term in the OS bar's search field.
      */
-    function updateClock() {
-        var time = getCurrentFormattedTime(); // "Fri Nov 15 10:23 AM";
-        var option = document.getElementById("clock");
-        if (option === null) {
-            console.warn("Attemping to update clock when OS bar is not visible.");
+    async function search() {
+        let input = container()?.querySelector("input");
+        if (isEmpty(input?.value.trim())) {
+            closeResults();
             return;
         }
-        option.innerHTML = time;
+        let id = ++queryId;
+        renderResults(null);
+        let groups = await query(input.value);
+        // A newer query was made while searching
+        if (id !== queryId) {
+            return;
+        }
+        renderResults(groups);
     }
+    this.search = search;
 
     /**
-     * Start updating clock.
+     * Create the OS bar's search field.
+     *
+     * The field is displayed only if the OS bar has a `#os-bar-search`. This
+     * must be called after the system strings are loaded.
      */
-    function startClock() {
-        updateClock();
-        setInterval(updateClock, 2000);
+    function init() {
+        let elem = container();
+        if (isEmpty(elem)) {
+            return;
+        }
+        elem.innerHTML = `<input type="text" name="search"><div class="results"></div>`;
+        let input = elem.querySelector("input");
+        input.placeholder = os.l10n.string("search");
+        input.addEventListener("keydown", function (event) {
+            if (event.key === "Enter") {
+                search();
+            }
+            else if (event.key === "Escape") {
+                input.value = "";
+                closeResults();
+                input.blur();
+            }
+        });
+        elem.addEventListener("click", function (event) {
+            event.stopPropagation();
+        });
+        document.addEventListener("click", closeResults);
     }
+    this.init = init;
+}
+
+/**
+ * Provides publish/subscribe notifications between apps and windows.
+ *
+ * Any controller may post a named notification with a payload. Every
+ * subscriber of the notification, in any app, receives it.
+ *
+ * Subscriptions belong to an owner. An owner is the ID of a `UIWindow` or the
+ * bundle ID of a `UIApplication`. Subscriptions are removed automatically when
+ * the window closes or the application stops. Therefore, prefer subscribing
+ * with `UIWindow.subscribe` or `UIApplication.subscribe`.
+ *
+ * Notification names should be prefixed with the bundle ID of the app that
+ * posts them e.g. `io.bithead.test-manager.didFinishTestRun`.
+ */
+function NotificationCenter() {
+
+    // {name:[object{id:owner:fn:}]}
+    let subscriptions = {};
 
     /**
-     * Copy string `item` to clipboard.
+     * Subscribe to a notification.
      *
-     * This temporarily changes the label of `button` for 2 seconds before
-     * displaying the previous label again.
-     *
-     * @param {HTMLElement} button - The button invoking the copy action
-     * @param {string} item - The string item to copy to clipboard
+     * @param {string} name - Name of notification
+     * @param {function} fn - Called when notification is posted `fn(payload, name)`
+     * @param {string} owner - ID of the window, or bundle ID of app, that owns the subscription
+     * @returns {string} Subscription ID used to unsubscribe
      */
-    function copyToClipboard(button, item) {
-        navigator.clipboard.writeText(item);
-        os.ui.flickerButton(button, "Copied!");
+    function subscribe(name, fn, owner) {
+        if (typeof fn !== "function") {
+            throw new Error(`Subscription to notification (${name}) must provide a function`);
+        }
+        if (isEmpty(owner)) {
+            throw new Error(`Subscription to notification (${name}) must provide an owner`);
+        }
+        if (!(name in subscriptions)) {
+            subscriptions[name] = [];
+        }
+        let id = makeObjectId();
+        subscriptions[name].push({id: id, owner: owner, fn: fn});
+        return id;
     }
-    this.copyToClipboard = copyToClipboard;
+    this.subscribe = subscribe;
 
     /**
-     * Returns bundle ID's application instance.
+     * Remove a subscription.
      *
-     * @returns UIApplication?
+     * @param {string} id - Subscription ID returned by `subscribe`
      */
-    function application(bundleId) {
-        return app.application(bundleId);
+    function unsubscribe(id) {
+        for (let name in subscriptions) {
+            subscriptions[name] = subscriptions[name].filter(sub => sub.id !== id);
+            if (subscriptions[name].length === 0) {
+                delete subscriptions[name];
+            }
+        }
     }
-    this.application = application;
+    this.unsubscribe = unsubscribe;
 
     /**
-     * Register applications available to BOSS.
+     * Remove all subscriptions that belong to owner.
      *
-     * This is designed to display apps that a user has access to. This
-     * over-writes any registered applications, except system apps, that may
-     * have been initialized or registered at a previous time.
+     * This is called when a window closes or an application stops.
      *
-     * @param {object{bundleId:{name:system:icon:}}} apps - List of installed apps
+     * @param {string} owner - ID of the window, or bundle ID of app
      */
-    function registerApplications(apps) {
-        app.registerApplications(apps);
+    function removeSubscriptions(owner) {
+        for (let name in subscriptions) {
+            subscriptions[name] = subscriptions[name].filter(sub => sub.owner !== owner);
+            if (subscriptions[name].length === 0) {
+                delete subscriptions[name];
+            }
+        }
     }
-    this.registerApplications = registerApplications;
+    this.removeSubscriptions = removeSubscriptions;
 
     /**
-     * Open a BOSS application.
+     * Post a notification to all subscribers.
      *
-     * If `MainController` is provided, it will show the controller regardless
-     * of what value is set to `application.json:main`.
+     * A subscriber that fails does not prevent other subscribers from
+     * receiving the notification.
      *
-     * @param {string} bundleId - The Bundle ID of the application to open e.g. 'io.bithead.test-management'
-     * @param {MainController?} mainController - Overrides `application.json:main` controller
-     * @returns UIApplication
-     * @throws
+     * @param {string} name - Name of notification
+     * @param {any?} payload - Value provided to subscribers
      */
-    async function openApplication(bundleId, mainController) {
-        return await app.openApplication(bundleId, mainController);
+    function post(name, payload) {
+        // Copy, as subscribers may unsubscribe while being notified
+        let subs = [...(subscriptions[name] ?? [])];
+        for (let i = 0; i < subs.length; i++) {
+            try {
+                let result = subs[i].fn(payload, name);
+                if (typeof result?.catch === "function") {
+                    result.catch(function(error) {
+                        console.error(`Subscriber (${subs[i].owner}) failed to handle notification (${name})`, error);
+                    });
+                }
+            }
+            catch (error) {
+                console.error(`Subscriber (${subs[i].owner}) failed to handle notification (${name})`, error);
+            }
+        }
     }
-    this.openApplication = openApplication;
+    this.post = post;
+}
+
+/**
+ * Provides network functions.
+ */
+function Network(os) {
+
+    // Path the server redirects to when the user's session has expired
+    const SIGN_IN_PATH = "/account/signin";
+
+    // The sign in modal shown when the user's session expires
+    const SIGN_IN_CONTROLLER_PATH = "/boss/app/io.bithead.boss/controller/SignIn.html";
+
+    // Scripts loaded by `javascript` {href:object{script:globals:owners:promise:}}
+    let scripts = {};
+
+    // Resolves when the user signs in again after their session expired.
+    // Requests that fail authentication, while the user is signing in, wait
+    // on this before being replayed.
+    let signingIn = null;
 
     /**
-     * Close an application.
+     * Redirect to a page using a GET request.
+     *
+     * @param {string} url - URL to redirect to
+     * @param {string?} redirectTo - Page the server should redirect to after `url` e.g. after signing in
      */
-    function closeApplication(bundleId) {
-        app.closeApplication(bundleId);
+    function redirect(url, redirectTo) {
+        if (!isEmpty(redirectTo)) {
+            let separator = url.includes("?") ? "&" : "?";
+            url = `${url}${separator}redirectTo=${encodeURIComponent(redirectTo)}`;
+        }
+        window.location = url;
     }
-    this.closeApplication = closeApplication;
+
+    // @deprecated - Use `this.redirect`
+    this.request = redirect;
+    this.redirect = redirect;
 
     /**
-     * Switch to application context.
+     * Returns `true` if the response indicates the user's session expired.
      *
-     * The application must be loaded first.
-     *
-     * @param {string} bundleId
+     * @param {Response} response
+     * @returns {bool}
      */
-    function switchApplication(bundleId) {
-        app.switchApplication(bundleId);
+    function isAuthFailure(response) {
+        if (response.status === 401) {
+            return true;
+        }
+        return response.redirected && new URL(response.url).pathname === SIGN_IN_PATH;
     }
-    this.switchApplication = switchApplication;
 
     /**
-     * Switch which application app menu is displayed.
+     * Ask the user to sign in again.
      *
-     * Returns true:
-     * - App menu is switched between combinatino of passive or active apps
-     * - App menu is already displayed
+     * Only one sign in modal is shown regardless of how many requests
+     * failed.
      *
-     * Returns false:
-     * - App is not loaded
-     * - App is inactive
+     * If a different user signs in, the page is reloaded as the desktop
+     * belongs to the user whose session expired.
      *
-     * @param {string} bundleId - The bundle ID of the app to switch to
-     * @returns `true` if the application menu was switched
+     * @returns {string} Username of the user who signed in
+     * @throws if the user cancels signing in
      */
-    function switchApplicationMenu(bundleId) {
-        return app.switchApplicationMenu(bundleId);
+    async function reauthenticate() {
+        if (isEmpty(signingIn)) {
+            signingIn = os.ui.showSessionExpired()
+                .then(function (username) {
+                    if (username !== os.username) {
+                        window.location.reload();
+                    }
+                    return username;
+                })
+                .finally(function () {
+                    signingIn = null;
+                });
+        }
+        return signingIn;
     }
-    this.switchApplicationMenu = switchApplicationMenu;
 
     /**
-     * Returns all user-space installed applications.
+     * Authorize a request made by the calling app.
      *
-     * This is assumed to be used in a `UIListBox`. Therefore, `name` also
-     * contains the application's icon.
+     * @param {string} url - URL the app is requesting
+     * @returns {string?} Bundle ID of the app making the request
+     * @throws if the app is not entitled to request the URL
+     */
+    async function authorize(url) {
+        // NOTE: The calling app must be determined before the first `await`
+        let bundleId = os.entitlements.requestingApplication()?.bundleId ?? null;
+        await os.entitlements.authorize(Entitlement.network, url);
+        return bundleId;
+    }
+
+    /**
+     * Make a request.
      *
-     * @returns [object{id:value:}]
+     * If the user's session expired, the request is suspended until the user
+     * signs in again and is then replayed. This keeps all open windows, and
+     * unsaved changes, intact. The request is dropped if a different user
+     * signs in.
+     *
+     * @param {string} url
+     * @param {object} options - `fetch` options
+     * @param {string?} bundleId - App making the request. The request is aborted when the app quits.
+     * @returns {Response}
+     * @throws if the session expired and the same user did not sign in
      */
-    function installedApplications() {
-        return app.installedApplications();
+    async function send(url, options, bundleId) {
+        // Requests made by an app are aborted when the app quits
+        let resource = null;
+        if (!isEmpty(bundleId)) {
+            let controller = new AbortController();
+            options = {...options, signal: controller.signal};
+            resource = os.resources.track(bundleId, "request", `${options.method ?? "GET"} ${url}`, function () {
+                controller.abort();
+            });
+        }
+        try {
+            return await sendRequest(url, options);
+        }
+        finally {
+            os.resources.untrack(resource);
+        }
     }
-    this.installedApplications = installedApplications;
-}
 
-/**
- * Provides network functions.
- */
-function Network(os) {
+    async function sendRequest(url, options) {
+        let response = await fetch(url, options);
+        if (!isAuthFailure(response)) {
+            return response;
+        }
+
+        // The sign in modal can not be shown. Return to this page after
+        // signing in.
+        if (!os.isLoaded()) {
+            if (response.redirected) {
+                let location = window.location;
+                redirect(response.url, `${location.pathname}${location.search}${location.hash}`);
+            }
+            throw new Error("Your session has expired. Please sign in again.");
+        }
+
+        // Waiting to sign in with a modal that can not be loaded would never
+        // finish
+        if (url === SIGN_IN_CONTROLLER_PATH) {
+            throw new Error("Your session has expired and the sign in modal could not be loaded.");
+        }
+
+        let username;
+        try {
+            username = await reauthenticate();
+        }
+        catch (error) {
+            throw new Error("Your session has expired. Please sign in again.");
+        }
+        // The request was made on behalf of the user whose session expired
+        if (username !== os.username) {
+            throw new Error(`The request was not sent because a different user (${username}) signed in.`);
+        }
+        return await sendRequest(url, options);
+    }
 
     /**
-     * Redirect to a page using a GET request.
+     * Sign in without following the server's redirect.
+     *
+     * Used to sign in again after the user's session expired, which must not
+     * leave the current page.
+     *
+     * @param {string} url - Sign in URL
+     * @param {object} body - Credentials to pass as JSON
+     * @throws if sign in failed
      */
-    function redirect(url, redirectTo) {
-        // TODO: If `redirectTo` provided, URL encode the value and add it as a GET parameter to the URL
-        window.location = url;
+    async function authenticate(url, body) {
+        let response = await fetch(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json"
+            },
+            body: JSON.stringify(body),
+            redirect: "manual"
+        });
+        // The server redirects after successfully signing in
+        if (response.type === "opaqueredirect") {
+            return;
+        }
+        if (!response.ok) {
+            throw new Error("Sign in failed");
+        }
+        let data = await response.json();
+        if (!isEmpty(data?.error)) {
+            throw new Error(data.error.message);
+        }
     }
-
-    // @deprecated - Use `this.redirect`
-    this.request = redirect;
-    this.redirect = redirect;
+    this.authenticate = authenticate;
 
     /**
      * Make a GET request.
@@ -320,10 +4265,12 @@ function Network(os) {
      * @throws
      */
     async function get(url, decoder) {
+        let bundleId = await authorize(url);
+
         if (isEmpty(decoder)) {
             decoder = "json";
         }
-        return fetch(url, {
+        return send(url, {
             method: "GET",
             // FIXME: Required when loading controller files. Failing to do this
             // will prevent controller JSON files from being loaded when changes
@@ -331,7 +4278,7 @@ function Network(os) {
             // files are served (using Etag) could be smarter as it has more to
             // do with the backend (probably) then the front-end.
             cache: "no-cache"
-        })
+        }, bundleId)
             .then(response => {
                 if (response.redirected) {
                     redirect(response.url);
@@ -396,6 +4343,8 @@ function Network(os) {
      * @throws
      */
     async function json(url, body) {
+        let bundleId = await authorize(url);
+
         if (isEmpty(body) || body.length < 1) {
             body = '{}';
         }
@@ -403,13 +4352,13 @@ function Network(os) {
             body = JSON.stringify(body);
         }
 
-        return fetch(url, {
+        return send(url, {
             method: "POST",
             headers: {
                 "Content-Type": "application/json"
             },
             body: body
-        })
+        }, bundleId)
             .then(response => {
                 if (response.redirected) {
                     redirect(response.url);
@@ -454,13 +4403,15 @@ function Network(os) {
      * @throws
      */
     async function upload(url, file) {
+        let bundleId = await authorize(url);
+
         let formData = new FormData();
         formData.append("file", file);
 
-        return fetch(url, {
+        return send(url, {
             method: "POST",
             body: formData
-        })
+        }, bundleId)
             .then(response => {
                 if (response.redirected) {
                     redirect(response.url);
@@ -493,9 +4444,11 @@ function Network(os) {
     this.upload = upload;
 
     async function __delete(url) {
-        return fetch(url, {
+        let bundleId = await authorize(url);
+
+        return send(url, {
             method: "DELETE"
-        })
+        }, bundleId)
             .then(response => {
                 if (response.redirected) {
                     redirect(response.url);
@@ -540,6 +4493,7 @@ function Network(os) {
         if (msg === null) {
             let data = await __delete(url);
             fn(data);
+            return;
         }
         os.ui.showDeleteModal(msg, null, async function () {
             let data = await __delete(url);
@@ -560,6 +4514,8 @@ function Network(os) {
      * @throws
      */
     async function patch(url, body, msg) {
+        let bundleId = await authorize(url);
+
         if (body === null || body.length < 1) {
             body = '{}';
         }
@@ -567,13 +4523,13 @@ function Network(os) {
             body = JSON.stringify(body);
         }
 
-        return fetch(url, {
+        return send(url, {
             method: "PATCH",
             headers: {
                 "Content-Type": "application/json"
             },
             body: body
-        })
+        }, bundleId)
             .then(response => {
                 if (response.redirected) {
                     redirect(response.url);
@@ -608,13 +4564,18 @@ function Network(os) {
     /**
      * Dynamically load stylesheet.
      *
+     * A stylesheet loaded by an app is scoped to the app's windows. It is
+     * removed when the app quits.
+     *
      * @param {string} href
      */
     async function stylesheet(href) {
+        let bundleId = await authorize(href);
+
         let styles = document.head.querySelectorAll("style");
         for (let i = 0; i < styles.length; i++) {
             let style = styles[i];
-            if (style.data == href) {
+            if (style.data == href && style.bundleId == bundleId) {
                 console.log(`link (${href}) already loaded`);
                 return;
             }
@@ -626,25 +4587,89 @@ function Network(os) {
         .then(response => response.text())
         .then(css => {
             let style = document.createElement("style");
-            style.textContent = css;
+            style.textContent = isEmpty(bundleId) ? css : os.ui.scopeStylesheet(bundleId, css);
             style.data = href;
+            style.bundleId = bundleId;
             document.head.appendChild(style);
+            if (!isEmpty(bundleId)) {
+                os.resources.track(bundleId, "style", href, function () {
+                    style.remove();
+                });
+            }
         });
     }
     this.stylesheet = stylesheet;
 
+    /**
+     * Remove script, and the globals it defined, once no app uses it.
+     *
+     * @param {string} href - Script URL
+     * @param {string} bundleId - App that no longer uses the script
+     * @returns {bool} `false` if a global could not be removed
+     */
+    function releaseScript(href, bundleId) {
+        let loaded = scripts[href];
+        if (isEmpty(loaded)) {
+            return;
+        }
+        loaded.owners.delete(bundleId);
+        if (loaded.owners.size > 0) {
+            return;
+        }
+
+        delete scripts[href];
+        loaded.script.remove();
+
+        let released = true;
+        for (let name of loaded.globals) {
+            released = os.resources.releaseGlobal(name) && released;
+        }
+        return released;
+    }
+
     /**
      * Dynamically load javascript.
+     *
+     * A script is loaded only once. The script, and the globals it defines,
+     * are removed when every app that loaded it has quit.
+     *
+     * @param {string} href
      */
     async function javascript(href) {
-        return new Promise((resolve, reject) => {
+        let bundleId = await authorize(href);
+
+        let loaded = scripts[href];
+        if (isEmpty(loaded)) {
+            let before = new Set(Object.keys(window));
             let script = document.createElement('script');
-            script.type = 'text/javascript';
-            script.src = href;
-            script.onload = resolve;
-            script.onerror = reject;
-            document.head.appendChild(script);
-        });
+            loaded = {script: script, globals: [], owners: new Set()};
+            loaded.promise = new Promise((resolve, reject) => {
+                script.type = 'text/javascript';
+                script.src = href;
+                script.onload = function (event) {
+                    loaded.globals = Object.keys(window).filter(name => !before.has(name));
+                    resolve(event);
+                };
+                script.onerror = function (error) {
+                    delete scripts[href];
+                    script.remove();
+                    reject(error);
+                };
+                document.head.appendChild(script);
+            });
+            scripts[href] = loaded;
+        }
+
+        if (!loaded.owners.has(bundleId)) {
+            loaded.owners.add(bundleId);
+            if (!isEmpty(bundleId)) {
+                os.resources.track(bundleId, "script", href, function () {
+                    return releaseScript(href, bundleId);
+                });
+            }
+        }
+
+        return loaded.promise;
     }
     this.javascript = javascript;
 }
@@ -7,8 +7,11 @@ function Point(x, y) {
 
 /**
  * Provides access to UI library.
+ *
+ * @param {OS} os - OS instance
+ * @param {ApplicationScopes} scopes - Evaluates controller scripts in their app's scope
  */
-function UI(os) {
+function UI(os, scopes) {
     // Modal z-index is defined to be above all other windows. Therefore, the max
     // number of windows that can be displayed is ~1998.
     const MODAL_ZINDEX = 1999;
@@ -58,6 +61,15 @@ function UI(os) {
     };
     this.controller = new Proxy(controller, handler);
 
+    // Drag and drop between windows and applications
+    this.dragAndDrop = new UIDragAndDrop(os);
+
+    // Icons of installed applications
+    this.dock = new UIDock(os, scopes);
+
+    // Switch between loaded applications with the keyboard
+    this.appSwitcher = new UIAppSwitcher(os);
+
     function init() {
         // Pop-up menus are displayed even before windows are shown (e.g. OS bar)
         styleAllUIPopupMenus(document);
@@ -69,6 +81,8 @@ function UI(os) {
          * Close all menus when user clicks outside of `select`.
          */
         document.addEventListener("click", closeAllMenus);
+
+        this.dock.init();
     }
     this.init = init;
 
@@ -208,6 +222,20 @@ function UI(os) {
     }
     this.focusWindow = focusWindow;
 
+    /**
+     * Returns the focused window's container.
+     *
+     * @returns {HTMLElement?} `null` if no window has focus
+     */
+    function focusedWindow() {
+        let topWindow = windowIndices[windowIndices.length - 1];
+        if (isEmpty(topWindow) || topWindow.classList.contains("blurred")) {
+            return null;
+        }
+        return topWindow;
+    }
+    this.focusedWindow = focusedWindow;
+
     /**
      * Blur top-most window.
      *
@@ -251,11 +279,99 @@ function UI(os) {
     }
     this.focusTopWindow = focusTopWindow;
 
+    /**
+     * Returns an app's displayed windows, and modals, in the order they
+     * were shown.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {[HTMLElement]} Window containers
+     */
+    function windows(bundleId) {
+        let context = document.getElementById(appContainerId(bundleId));
+        if (isEmpty(context)) {
+            return [];
+        }
+        return Array.from(context.children).filter(c => !isEmpty(c.ui));
+    }
+    this.windows = windows;
+
     function appContainerId(bundleId) {
         return `app-container-${bundleId}`;
     }
     this.appContainerId = appContainerId;
 
+    // Selectors that target the document rather than an element in a window
+    const DOCUMENT_SELECTOR = /^((:root|html|body)(?![\w-])\s*)+/;
+
+    /**
+     * Split a selector list e.g. `a, b:is(c, d)` into its selectors.
+     *
+     * @param {string} text - Selector list
+     * @returns {[string]}
+     */
+    function splitSelectors(text) {
+        let selectors = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === "(" || text[i] === "[") {
+                depth += 1;
+            }
+            else if (text[i] === ")" || text[i] === "]") {
+                depth -= 1;
+            }
+            else if (text[i] === "," && depth === 0) {
+                selectors.push(text.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+        selectors.push(text.substring(start).trim());
+        return selectors;
+    }
+
+    /**
+     * Prefix every style rule with `scope`. Rules nested in `@media`,
+     * `@supports`, etc. are scoped too.
+     *
+     * @param {CSSRuleList} rules
+     * @param {string} scope - Selector of the app's container
+     */
+    function scopeRules(rules, scope) {
+        for (let rule of rules) {
+            if (rule instanceof CSSStyleRule) {
+                rule.selectorText = splitSelectors(rule.selectorText).map(function (selector) {
+                    if (DOCUMENT_SELECTOR.test(selector)) {
+                        return selector.replace(DOCUMENT_SELECTOR, `${scope} `).trim();
+                    }
+                    return `${scope} ${selector}`;
+                }).join(", ");
+            }
+            else if (!isEmpty(rule.cssRules)) {
+                scopeRules(rule.cssRules, scope);
+            }
+        }
+    }
+
+    /**
+     * Scope a stylesheet to an app's windows.
+     *
+     * Every selector is prefixed with the app's container ID. This prevents
+     * an app's styles from leaking into other apps, or from changing the
+     * appearance of the OS. Selectors that target the document, such as
+     * `html`, `body` and `:root`, target the app's container instead.
+     *
+     * @param {string} bundleId - App bundle ID that owns the stylesheet
+     * @param {string} css - Stylesheet source
+     * @returns {string} Scoped stylesheet source
+     */
+    function scopeStylesheet(bundleId, css) {
+        let sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        scopeRules(sheet.cssRules, `#${CSS.escape(appContainerId(bundleId))}`);
+        return Array.from(sheet.cssRules).map(rule => rule.cssText).join("\n");
+    }
+    this.scopeStylesheet = scopeStylesheet;
+
     let windowNumber = 0;
 
     function makeWindowId() {
@@ -291,6 +407,7 @@ function UI(os) {
                 resourcePath: `/boss/app/${bundleId}`,
                 controller: `os.application('${bundleId}').proxy`
             },
+            l10n: os.l10n.strings(bundleId),
             os: {
                 email: "bitheadRL AT proton.me",
                 // Getting too much spam. For clients that have the OS installed locally,
@@ -312,6 +429,9 @@ function UI(os) {
      * work-around HTML5 preventing untrusted scripts from parsing when setting
      * innerHTML w/ dynamic content.
      *
+     * The HTML is rendered as a `Template` with `attr`. Partials defined in the
+     * HTML may be rendered later with the returned `div.render(name, data)`.
+     *
      * @param {string} bundleId - App bundle ID that window belongs to
      * @param {string} controllerName - Name of controller
      * @param {Object} attr - Attributes to assign to window
@@ -319,8 +439,16 @@ function UI(os) {
      * @returns `div` that contains parsed HTML and re-attached Javascript
      */
     function parseHTML(bundleId, controllerName, attr, html) {
+        let template = new Template(html);
+
         let div = document.createElement("div");
-        div.innerHTML = interpolate(html, attr);
+        div.innerHTML = template.render(attr);
+
+        // Renders one of the controller's partials. Window attributes are
+        // available to the partial in addition to `data`.
+        div.render = function(name, data) {
+            return template.renderPartial(name, Object.assign({}, attr, data));
+        }
 
         // You must re-attach any scripts that are part of the HTML. Since HTML5
         // JavaScript is not parsed or ran when assigning values to innerHTML.
@@ -336,10 +464,13 @@ function UI(os) {
 
             let sc = document.createElement("script");
             sc.setAttribute("type", "text/javascript");
-            let inline = document.createTextNode(script.innerHTML + `\n//@ sourceURL=/${bundleId}/${controllerName}/${attr.this.id}/${i}`);
+            let inline = document.createTextNode(scopes.wrap(bundleId, script.innerHTML) + `\n//@ sourceURL=/${bundleId}/${controllerName}/${attr.this.id}/${i}`);
             sc.appendChild(inline);
             parentNode.append(sc);
         }
+        if (!isEmpty(scripts)) {
+            os.resources.trackGlobal(bundleId, attr.this.id);
+        }
 
         return div;
     }
@@ -393,7 +524,8 @@ function UI(os) {
         container.style.top = `${point.x}px`;
         container.style.left = `${point.y}px`;
 
-        container.ui = new UIWindow(bundleId, attr.this.id, container, false, menuId);
+        container.ui = new UIWindow(bundleId, attr.this.id, container, false, menuId, div.render);
+        readOnly(container.ui, "controllerName", controllerName);
         return container;
     }
     this.makeWindow = makeWindow;
@@ -424,7 +556,8 @@ function UI(os) {
         container.appendChild(div.firstChild);
         overlay.appendChild(container);
 
-        overlay.ui = new UIWindow(bundleId, attr.this.id, overlay, true);
+        overlay.ui = new UIWindow(bundleId, attr.this.id, overlay, true, null, div.render);
+        readOnly(overlay.ui, "controllerName", controllerName);
         return overlay;
     }
     this.makeModal = makeModal;
@@ -540,6 +673,16 @@ function UI(os) {
     }
     this.showAboutModal = showAboutModal;
 
+    /**
+     * Show clipboard history.
+     */
+    async function showClipboardHistory() {
+        let app = await os.openApplication("io.bithead.boss");
+        let ctrl = await app.loadController("Clipboard");
+        ctrl.ui.show();
+    }
+    this.showClipboardHistory = showClipboardHistory;
+
     /**
      * Show installed applications.
      *
@@ -551,6 +694,14 @@ function UI(os) {
     }
     this.showInstalledApplications = showInstalledApplications;
 
+    /**
+     * Show the apps that are running, their windows and the resources they own.
+     */
+    async function showActivityMonitor() {
+        await os.openApplication("io.bithead.activity-monitor");
+    }
+    this.showActivityMonitor = showActivityMonitor;
+
     /**
      * Show an error modal above all other content.
      *
@@ -629,6 +780,78 @@ function UI(os) {
     }
     this.showSignIn = showSignIn;
 
+    /**
+     * Show sign in modal, above all open windows, after the user's session
+     * expired.
+     *
+     * @returns {Promise<string>} Resolves with the username of the user who signed in. Rejects if the user cancels.
+     */
+    async function showSessionExpired() {
+        let app = await os.openApplication("io.bithead.boss");
+        let modal = await app.loadController("SignIn");
+        return new Promise(function (resolve, reject) {
+            modal.ui.show(function (controller) {
+                controller.delegate = {
+                    didSignIn: resolve,
+                    didCancelSignIn: function () {
+                        reject(new Error("User cancelled signing in"));
+                    }
+                };
+            });
+        });
+    }
+    this.showSessionExpired = showSessionExpired;
+
+    /**
+     * Ask user if they want to reopen the windows from their last session.
+     *
+     * @param {async function} ok - Called when the user chooses to reopen windows
+     * @param {async function} cancel - Called when the user chooses not to reopen windows
+     */
+    async function showRestoreSession(ok, cancel) {
+        let app = await os.openApplication("io.bithead.boss");
+        let modal = await app.loadController("RestoreSession");
+        modal.ui.show(function(controller) {
+            controller.configure(cancel, ok);
+        });
+    }
+    this.showRestoreSession = showRestoreSession;
+
+    /**
+     * Show the user that an app crashed.
+     *
+     * The user may reopen or force quit the app.
+     *
+     * @param {object} crash - Crash recorded by `CrashReporter`
+     * @param {function} fn - Called when the report is dismissed
+     */
+    async function showCrashReport(crash, fn) {
+        let app = await os.openApplication("io.bithead.boss");
+        let modal = await app.loadController("Crash");
+        modal.ui.show(function(controller) {
+            controller.configure(crash, fn);
+        });
+    }
+    this.showCrashReport = showCrashReport;
+
+    /**
+     * Ask user for permission to let an app use a sensitive capability.
+     *
+     * @param {string} name - Name of app
+     * @param {Entitlement} entitlement - Capability the app wants to use
+     * @returns {bool} `true` if the user allowed the capability
+     */
+    async function showPermissionRequest(name, entitlement) {
+        let app = await os.openApplication("io.bithead.boss");
+        let modal = await app.loadController("Permission");
+        return new Promise(function (resolve) {
+            modal.ui.show(function(controller) {
+                controller.configure(name, entitlement, resolve);
+            });
+        });
+    }
+    this.showPermissionRequest = showPermissionRequest;
+
     /**
      * Show welcome page.
      */
@@ -697,7 +920,7 @@ function UI(os) {
             if (isEmpty(fn)) {
                 return;
             }
-            message.innerHTML = "Stopping"
+            message.innerHTML = os.l10n.string("stopping");
             await fn().then((result) => {
                 console.log("Stopped")
                 modal.ui.close();
@@ -812,6 +1035,25 @@ function UI(os) {
     }
     this.makeAppButton = makeAppButton;
 
+    /**
+     * Display the option's keyboard shortcut, if any, on the right side of
+     * its menu choice.
+     *
+     * @param {HTMLElement} choice - The `popup-choice` element
+     * @param {HTMLOptionElement} option - The option that defines `data-key`
+     */
+    function addKeyEquivalent(choice, option) {
+        let key = option.dataset.key;
+        if (isEmpty(key)) {
+            return;
+        }
+        let span = document.createElement("span");
+        span.classList.add("key-equivalent");
+        span.innerHTML = os.shortcuts.label(key);
+        choice.appendChild(span);
+    }
+    this.addKeyEquivalent = addKeyEquivalent;
+
     function styleUIMenu(menu) {
         let select = menu.getElementsByTagName("select")[0];
 
@@ -870,6 +1112,7 @@ function UI(os) {
                 option.setAttribute("id", "");
             }
             choice.innerHTML = option.innerHTML;
+            addKeyEquivalent(choice, option);
             choice.addEventListener("click", function() {
                 if (option.disabled) {
                     return;
@@ -993,6 +1236,10 @@ function UIApplication(id, config) {
     readOnly(this, "passive", passive);
     readOnly(this, "system", system);
     readOnly(this, "version", config.application.version);
+    // `null` if the app does not declare entitlements
+    readOnly(this, "entitlements", config.application.entitlements ?? null);
+    // Routes that open the app's controllers from a URL
+    readOnly(this, "routes", config.application.routes ?? {});
 
     // Application function
     let main = null;
@@ -1003,6 +1250,10 @@ function UIApplication(id, config) {
     // Visible windows object[windowId:UIController]
     let launchedControllers = {};
 
+    // The controller name, and endpoint, each visible window was loaded from
+    // object[windowId:object{name:endpoint:}]
+    let launchedInfo = {};
+
     // Set to `true` as soon as `applicationDidStop` is invoked. This is necessary to
     // prevent the `applicationDidCloseAllWindows` signal.
     let stopping = false;
@@ -1034,7 +1285,17 @@ function UIApplication(id, config) {
     }
     this.menus = menus;
 
-    function makeController(name, def, html) {
+    /**
+     * Set the badge displayed on the app's dock icon.
+     *
+     * @param {string|number|null} value - Badge to display. `null`, or `0`, removes the badge.
+     */
+    function setBadge(value) {
+        os.ui.dock.setBadge(bundleId, value);
+    }
+    this.setBadge = setBadge;
+
+    function makeController(name, def, html, endpoint) {
         // Modals are above everything. Therefore, there is no way apps can
         // be switched in this context w/o the window being closed first.
         if (def.modal) {
@@ -1047,6 +1308,7 @@ function UIApplication(id, config) {
         // find the respective window and enforce a singleton instance.
         let windowId = def.singleton ? name : container.ui.id;
         launchedControllers[windowId] = container;
+        launchedInfo[windowId] = {name: name, endpoint: endpoint ?? null};
 
         // Do not attach this to the controller:
         // - This should not be accessible publicly
@@ -1058,6 +1320,7 @@ function UIApplication(id, config) {
             // controller and app needs to be shut down. When an app is
             // shut down, all windows are closed.
             delete launchedControllers[windowId];
+            delete launchedInfo[windowId];
 
             if (isEmpty(launchedControllers) && config.application.quitAutomatically === true) {
                 os.closeApplication(bundleId);
@@ -1128,7 +1391,7 @@ function UIApplication(id, config) {
         // need to be re-rendered.
         let html = controllers[name];
         if (isEmpty(def.path) && !isEmpty(html)) {
-            return makeController(name, def, html);
+            return makeController(name, def, html, endpoint);
         }
 
         if (!isEmpty(def.renderer) && def.renderer !== "html") {
@@ -1163,10 +1426,57 @@ function UIApplication(id, config) {
 
         controllers[name] = html;
 
-        return makeController(name, def, html);
+        return makeController(name, def, html, endpoint);
     }
     this.loadController = loadController;
 
+    /**
+     * Returns the application's visible windows.
+     *
+     * Modals are not included.
+     *
+     * @returns {[object{controller:string,endpoint:string?,container:HTMLElement}]}
+     */
+    function windows() {
+        return Object.keys(launchedControllers).map(function (windowId) {
+            return {
+                controller: launchedInfo[windowId].name,
+                endpoint: launchedInfo[windowId].endpoint,
+                container: launchedControllers[windowId]
+            };
+        });
+    }
+    this.windows = windows;
+
+    /**
+     * Subscribe to an OS notification.
+     *
+     * The subscription is removed when the application stops.
+     *
+     * @param {string} name - Name of notification
+     * @param {function} fn - Called when notification is posted `fn(payload, name)`
+     * @returns {string} Subscription ID
+     */
+    function subscribe(name, fn) {
+        return os.notifications.subscribe(name, fn, bundleId);
+    }
+    this.subscribe = subscribe;
+
+    /**
+     * Register a handler for items pasted while the application is active.
+     *
+     * Window paste handlers take precedence. The handler is removed when the
+     * application stops.
+     *
+     * @param {string|string[]} types - Pasteboard types the handler accepts
+     * @param {function} fn - Called with the pasted item `fn(PasteboardItem)`
+     * @returns {string} Handler ID
+     */
+    function onPaste(types, fn) {
+        return os.pasteboard.addPasteHandler(types, fn, bundleId);
+    }
+    this.onPaste = onPaste;
+
     /** Delegate Callbacks **/
 
     /**
@@ -1202,6 +1512,9 @@ function UIApplication(id, config) {
             launchedControllers[windowId].ui.close();
         }
 
+        os.notifications.removeSubscriptions(bundleId);
+        os.pasteboard.removePasteHandlers(bundleId);
+
         if (!isEmpty(main?.applicationDidStop)) {
             main.applicationDidStop();
         }
@@ -1290,11 +1603,13 @@ function UIApplication(id, config) {
  * @param {HTMLElement} container - `.ui-window` container
  * @param {bool} isModal - `true`, if modal
  * @param {string} menuId - The menu ID to attach window menus to
+ * @param {function?} renderer - Renders the controller's template partials
  */
-function UIWindow(bundleId, id, container, isModal, menuId) {
+function UIWindow(bundleId, id, container, isModal, menuId, renderer) {
 
     readOnly(this, "id", id);
     readOnly(this, "bundleId", bundleId);
+    readOnly(this, "isModal", isModal);
 
     let controller = null;
 
@@ -1315,6 +1630,18 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
     let topPosition = null;
     let leftPosition = null;
 
+    // Two-way data binding between a model and the window's elements. This
+    // is created when `bind` is first called.
+    let binding = null;
+
+    // Actions that may be undone in this window. The window's Edit menu
+    // follows the state of the undo stack.
+    let undoManager = new UndoManager();
+    readOnly(this, "undoManager", undoManager);
+
+    // The Edit menu's `UIMenu`
+    let editMenu = null;
+
     /**
      * Prepare the window for display, load controller source, etc.
      *
@@ -1324,6 +1651,7 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
         styleAllUIPopupMenus(container);
         styleAllUIListBoxes(container);
         styleAllUITabs(container);
+        styleAllUIFolders(container);
         os.ui.styleUIMenus(container);
 
         // Add window controller, if it exists.
@@ -1352,7 +1680,7 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
             if (!isEmpty(closeButton)) {
                 closeButton.addEventListener("click", function (e) {
                     e.stopPropagation();
-                    close();
+                    performClose();
                 });
             }
             let zoomButton = container.querySelector(".zoom-button");
@@ -1396,7 +1724,20 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
             uiMenus.remove();
 
             menus = uiMenus;
+        }
+
+        // Windows of apps that have an OS bar menu get an Edit menu
+        if (!isModal && !isEmpty(menuId) && !isEmpty(document.getElementById(menuId))) {
+            if (isEmpty(menus)) {
+                menus = document.createElement("div");
+                menus.classList.add("ui-menus");
+            }
+            addEditMenu();
+        }
+
+        if (!isEmpty(menus)) {
             os.ui.addOSBarMenu(menus, menuId);
+            os.shortcuts.registerMenus(menus, id);
         }
 
         if (!isModal) {
@@ -1415,9 +1756,78 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
         if (!isEmpty(controller?.viewDidLoad)) {
             controller.viewDidLoad();
         }
+
+        if (!isModal) {
+            os.router.didOpenWindow(bundleId, container.ui.controllerName, controller?.routeParameters?.() ?? null, container);
+        }
     }
     this.init = init;
 
+    /**
+     * Add Edit menu, with Undo and Redo options, to the window's menus.
+     */
+    function addEditMenu() {
+        let menu = document.createElement("div");
+        menu.classList.add("ui-menu");
+        menu.style.width = "220px";
+        let select = document.createElement("select");
+        select.name = "edit-menu";
+        let title = document.createElement("option");
+        title.innerHTML = os.l10n.string("edit");
+        select.appendChild(title);
+        let keys = {undo: "cmd+z", redo: "cmd+shift+z"};
+        for (let action in keys) {
+            let option = document.createElement("option");
+            option.value = action;
+            option.dataset.key = keys[action];
+            option.innerHTML = os.l10n.string(action);
+            option.disabled = true;
+            option.onclick = async function() {
+                try {
+                    await undoManager[action]();
+                }
+                catch (error) {
+                    console.error(error);
+                    os.ui.showErrorModal(os.l10n.string(`${action}Failed`));
+                }
+            };
+            select.appendChild(option);
+        }
+        menu.appendChild(select);
+        menus.appendChild(menu);
+        os.ui.styleUIMenu(menu);
+        editMenu = select.ui;
+
+        undoManager.delegate = {
+            didChangeUndoStack: updateEditMenu
+        };
+    }
+
+    /**
+     * Update the Edit menu's options to reflect the undo stack.
+     */
+    function updateEditMenu() {
+        if (isEmpty(editMenu)) {
+            return;
+        }
+        let undoName = undoManager.undoName();
+        let redoName = undoManager.redoName();
+        editMenu.setOptionLabel("undo", isEmpty(undoName) ? os.l10n.string("undo") : os.l10n.string("undoAction", {name: undoName}));
+        editMenu.setOptionLabel("redo", isEmpty(redoName) ? os.l10n.string("redo") : os.l10n.string("redoAction", {name: redoName}));
+        if (undoManager.canUndo()) {
+            editMenu.enableOption("undo");
+        }
+        else {
+            editMenu.disableOption("undo");
+        }
+        if (undoManager.canRedo()) {
+            editMenu.enableOption("redo");
+        }
+        else {
+            editMenu.disableOption("redo");
+        }
+    }
+
     function setTitle(title) {
         let span = container.querySelector(".top .title span");
         if (isEmpty(span)) {
@@ -1481,6 +1891,62 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
         }
     }
 
+    /**
+     * Returns the window's state, so that it may be restored after the page
+     * is reloaded.
+     *
+     * The controller may add its own state by implementing
+     * `encodeRestorableState`.
+     *
+     * @returns {object}
+     */
+    function encodeState() {
+        let content = container.querySelector(".ui-window > .container");
+        return {
+            top: isFullScreen ? topPosition : container.style.top,
+            left: isFullScreen ? leftPosition : container.style.left,
+            width: content?.style.width ?? null,
+            height: content?.style.height ?? null,
+            zoomed: isFullScreen,
+            zIndex: parseInt(container.style.zIndex),
+            state: controller?.encodeRestorableState?.() ?? null
+        };
+    }
+    this.encodeState = encodeState;
+
+    /**
+     * Restore the window's state returned by `encodeState`.
+     *
+     * The window is brought to the front. The controller's `restoreState` is
+     * called with the state returned by its `encodeRestorableState`.
+     *
+     * @param {object} state - Window state
+     */
+    async function restoreState(state) {
+        if (container.classList.contains("fullscreen") !== state.zoomed) {
+            zoom();
+        }
+        if (state.zoomed) {
+            topPosition = state.top;
+            leftPosition = state.left;
+        }
+        else {
+            container.style.top = state.top;
+            container.style.left = state.left;
+        }
+        let content = container.querySelector(".ui-window > .container");
+        if (!isEmpty(content) && !isEmpty(state.width)) {
+            content.style.width = state.width;
+            content.style.height = state.height;
+        }
+        os.ui.focusWindow(container);
+
+        if (!isEmpty(state.state) && !isEmpty(controller?.restoreState)) {
+            await controller.restoreState(state.state);
+        }
+    }
+    this.restoreState = restoreState;
+
     /**
      * Close the window.
      */
@@ -1495,6 +1961,9 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
         }
 
         os.ui.removeController(id);
+        os.notifications.removeSubscriptions(id);
+        os.shortcuts.removeShortcuts(id);
+        os.pasteboard.removePasteHandlers(id);
 
         menus?.remove();
 
@@ -1513,6 +1982,23 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
     }
     this.close = close;
 
+    /**
+     * Close the window as if the user tapped the window's close button.
+     *
+     * The window is not closed if the controller's `shouldCloseWindow`
+     * returns `false`.
+     *
+     * @returns {bool} `true` if the window was closed
+     */
+    async function performClose() {
+        if (!isEmpty(controller?.shouldCloseWindow) && await controller.shouldCloseWindow() === false) {
+            return false;
+        }
+        await close();
+        return true;
+    }
+    this.performClose = performClose;
+
     function didFocusWindow() {
         isFocused = true;
 
@@ -1548,6 +2034,95 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
     }
     this.didBlurWindow = didBlurWindow;
 
+    /**
+     * Bind elements, that define a `data-bind` attribute, to a model.
+     *
+     * The binding is created the first time this is called. Subsequent calls
+     * return the same binding. This must be called after the window is shown
+     * e.g. in `viewDidLoad`.
+     *
+     * ```
+     * let binding = view.ui.bind();
+     * binding.delegate = {
+     *     didChangeBinding: function(keyPath, value) { isDirty = true; }
+     * };
+     * binding.load({user: response.user});
+     * ```
+     *
+     * @param {object?} values - Values to load into the model
+     * @returns UIBinding
+     */
+    function bind(values) {
+        if (isEmpty(binding)) {
+            binding = new UIBinding(container);
+        }
+        if (!isEmpty(values)) {
+            binding.load(values);
+        }
+        return binding;
+    }
+    this.bind = bind;
+
+    /**
+     * Returns a localized string from the window's app bundle.
+     *
+     * @param {string} key - String key
+     * @param {object?} args - Values interpolated into string
+     * @returns {string}
+     */
+    function string(key, args) {
+        return os.l10n.string(key, args, bundleId);
+    }
+    this.string = string;
+
+    /**
+     * Subscribe to an OS notification.
+     *
+     * The subscription is removed when the window closes.
+     *
+     * @param {string} name - Name of notification
+     * @param {function} fn - Called when notification is posted `fn(payload, name)`
+     * @returns {string} Subscription ID
+     */
+    function subscribe(name, fn) {
+        return os.notifications.subscribe(name, fn, id);
+    }
+    this.subscribe = subscribe;
+
+    /**
+     * Register a handler for items pasted while the window is focused.
+     *
+     * The handler is removed when the window closes.
+     *
+     * @param {string|string[]} types - Pasteboard types the handler accepts
+     * @param {function} fn - Called with the pasted item `fn(PasteboardItem)`
+     * @returns {string} Handler ID
+     */
+    function onPaste(types, fn) {
+        return os.pasteboard.addPasteHandler(types, fn, id);
+    }
+    this.onPaste = onPaste;
+
+    /**
+     * Render one of the controller's template partials.
+     *
+     * Partials are defined in the controller's HTML with
+     * `$(#partial name)...$(/partial)`. Window attributes, such as
+     * `$(this.controller)`, are available to the partial.
+     *
+     * @param {string} name - Name of partial
+     * @param {object} data - Values provided to the partial
+     * @returns {string} Rendered HTML
+     * @throws if the partial does not exist
+     */
+    function render(name, data) {
+        if (isEmpty(renderer)) {
+            throw new Error(`Window (${id}) does not support rendering partials`);
+        }
+        return renderer(name, data);
+    }
+    this.render = render;
+
     /** Helpers **/
 
     /**
@@ -1674,32 +2249,930 @@ function UIWindow(bundleId, id, container, isModal, menuId) {
 }
 
 /**
- * Provides protocol definition for a `UIWindow` controller.
+ * Provides two-way data binding between a model and elements in a container.
  *
- * A `UIController` allows a `div.ui-window` to receive life-cycle events from the OS.
+ * Elements declare which model value they display with a `data-bind` key path.
  *
- * All functions are optional. Therefore, implement only the functions needed.
+ * ```
+ * <input type="text" name="full-name" data-bind="user.fullName">
+ * <input type="checkbox" name="enabled" data-bind="user.enabled">
+ * ```
+ *
+ * Supported elements:
+ * - `input` and `textarea`: the element's `value`
+ * - `input[type=checkbox]`: the `checked` state
+ * - `input[type=radio]`: checked when the radio's `value` equals the model value
+ * - `UIPopupMenu` `select`: the selected option's value
+ * - `UIListBox` `select`: the selected option's value. A list of values if `multiple`.
+ * - All other elements display the model value as text (one-way)
+ *
+ * The model is created from the key paths declared in the container. Initial
+ * values are read from the elements. Assigning a value to the model updates
+ * every element bound to it. Changes made by the user are written to the model.
+ *
+ * Every change, regardless of where it originated, is sent to the delegate's
+ * `didChangeBinding(keyPath, value)`. Values loaded with `load` are not.
+ *
+ * NOTE: If the options of a bound `UIListBox` or `UIPopupMenu` are replaced,
+ * call `refresh` to re-select the model's value.
+ *
+ * @param {HTMLElement} container - Element that contains bound elements
  */
-function UIController() {
-    /**
-     * Called directly after the window is added to DOM.
-     */
-    function viewDidLoad() { }
+function UIBinding(container) {
 
-    /**
-     * Called directly before window is removed from DOM.
-     */
-    function viewWillUnload() { }
+    let delegate = protocol(
+        "UIBindingDelegate", this, "delegate",
+        [DelegateMethod("didChangeBinding", false, 2)]
+    );
+
+    // Bound elements {keyPath:[HTMLElement]}
+    let elements = {};
+
+    // When `true`, changes are not sent to the delegate
+    let loading = false;
+
+    // The element that is writing its value to the model. This prevents the
+    // element from being updated with the value it just provided.
+    let source = null;
+
+    let model;
+
+    property(this, "model", function() {
+        return model;
+    });
 
     /**
-     * TODO: Called when controller becomes focused.
+     * Returns value in `obj` at `keyPath`, if any.
+     *
+     * @param {object} obj - Dictionary
+     * @param {string} keyPath - Key path e.g. `user.fullName`
+     * @returns {any?}
      */
-    function viewDidFocus() { }
+    function valueForKeyPath(obj, keyPath) {
+        return keyPath.split(".").reduce(function(x, y) {
+            return x?.[y];
+        }, obj);
+    }
 
     /**
-     * TODO: Called when controller goes out of focus.
+     * Assign value to model at `keyPath`.
+     *
+     * @param {string} keyPath - Key path e.g. `user.fullName`
+     * @param {any} value - Value to assign
+     */
+    function setValueForKeyPath(keyPath, value) {
+        let path = keyPath.split(".");
+        let last = path.pop();
+        let obj = model;
+        for (let i = 0; i < path.length; i++) {
+            obj = obj?.[path[i]];
+        }
+        if (!isDictionary(obj)) {
+            console.warn(`Can not assign value to key path (${keyPath}). The parent of (${last}) is not an object.`);
+            return;
+        }
+        obj[last] = value;
+    }
+
+    function isCheckbox(element) {
+        return element.tagName === "INPUT" && element.type === "checkbox";
+    }
+
+    function isRadio(element) {
+        return element.tagName === "INPUT" && element.type === "radio";
+    }
+
+    /**
+     * Returns the value displayed by element.
+     *
+     * @param {HTMLElement} element - Bound element
+     * @returns {any?} `undefined` if element does not provide a value (e.g. unchecked radio)
+     */
+    function readElement(element) {
+        if (isCheckbox(element)) {
+            return element.checked;
+        }
+        else if (isRadio(element)) {
+            return element.checked ? element.value : undefined;
+        }
+        else if (element.tagName === "SELECT") {
+            if (element.multiple) {
+                return Array.from(element.selectedOptions).map(option => option.value);
+            }
+            if (isEmpty(element.ui)) {
+                return element.value;
+            }
+            let value = element.ui.selectedValue();
+            return value === undefined ? null : value;
+        }
+        else if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
+            return element.value;
+        }
+        return element.textContent;
+    }
+
+    /**
+     * Display value in element.
+     *
+     * @param {HTMLElement} element - Bound element
+     * @param {any?} value - Value to display
+     */
+    function writeElement(element, value) {
+        if (isCheckbox(element)) {
+            element.checked = value === true;
+        }
+        else if (isRadio(element)) {
+            element.checked = !isEmpty(value) && element.value == value;
+        }
+        else if (element.tagName === "SELECT") {
+            if (element.multiple) {
+                element.ui?.selectValues(isEmpty(value) ? [] : value);
+            }
+            else if (isEmpty(element.ui)) {
+                element.value = emptyString(value);
+            }
+            else if (isEmpty(value) && element.ui instanceof UIPopupMenu) {
+                // The first option is the menu's label
+                element.ui.selectOption(0);
+            }
+            else {
+                element.ui.selectValue(value);
+            }
+        }
+        else if (element.tagName === "INPUT" || element.tagName === "TEXTAREA") {
+            element.value = emptyString(value);
+        }
+        else {
+            element.textContent = emptyString(value);
+        }
+    }
+
+    /**
+     * Called when a model value changes.
+     *
+     * Updates every element bound to `keyPath`, or to a key path nested in
+     * `keyPath`, and notifies delegate.
+     */
+    function didChangeValue(keyPath, value, oldValue) {
+        for (let path in elements) {
+            if (path !== keyPath && !path.startsWith(`${keyPath}.`)) {
+                continue;
+            }
+            let pathValue = valueForKeyPath(model, path);
+            let elems = elements[path];
+            for (let i = 0; i < elems.length; i++) {
+                if (elems[i] !== source) {
+                    writeElement(elems[i], pathValue);
+                }
+            }
+        }
+
+        if (!loading) {
+            delegate.didChangeBinding(keyPath, value);
+        }
+    }
+
+    /**
+     * Called when user changes the value of an element.
+     */
+    function didChangeElement(element, keyPath) {
+        let value = readElement(element);
+        if (value === undefined) {
+            return;
+        }
+        source = element;
+        setValueForKeyPath(keyPath, value);
+        source = null;
+    }
+
+    /**
+     * Load values into the model without notifying the delegate.
+     *
+     * Only values for bound key paths are loaded. This is designed to load
+     * a response from the server.
+     *
+     * @param {object} values - Dictionary of values
+     */
+    function load(values) {
+        loading = true;
+        for (let keyPath in elements) {
+            let value = valueForKeyPath(values, keyPath);
+            if (value !== undefined) {
+                setValueForKeyPath(keyPath, value);
+            }
+        }
+        loading = false;
+    }
+    this.load = load;
+
+    /**
+     * Display the model's values in all bound elements.
+     */
+    function refresh() {
+        for (let keyPath in elements) {
+            let value = valueForKeyPath(model, keyPath);
+            let elems = elements[keyPath];
+            for (let i = 0; i < elems.length; i++) {
+                writeElement(elems[i], value);
+            }
+        }
+    }
+    this.refresh = refresh;
+
+    function init() {
+        let values = {};
+        let bound = container.querySelectorAll("[data-bind]");
+        for (let i = 0; i < bound.length; i++) {
+            let element = bound[i];
+            let keyPath = element.getAttribute("data-bind");
+            if (isEmpty(keyPath)) {
+                console.warn("Element has an empty data-bind key path");
+                continue;
+            }
+
+            if (!(keyPath in elements)) {
+                elements[keyPath] = [];
+            }
+            elements[keyPath].push(element);
+
+            // Create the model's structure from the key path
+            let path = keyPath.split(".");
+            let last = path.pop();
+            let obj = values;
+            for (let j = 0; j < path.length; j++) {
+                if (!isDictionary(obj[path[j]])) {
+                    obj[path[j]] = {};
+                }
+                obj = obj[path[j]];
+            }
+            // Elements that display text only (one-way) do not provide the
+            // initial value if a form element is bound to the same key path.
+            let isFormElement = ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName);
+            let value = readElement(element);
+            if (value !== undefined && (isFormElement || !(last in obj))) {
+                obj[last] = value;
+            }
+            else if (!(last in obj)) {
+                obj[last] = null;
+            }
+
+            let isText = element.tagName === "TEXTAREA" ||
+                (element.tagName === "INPUT" && !isCheckbox(element) && !isRadio(element));
+            if (isText) {
+                element.addEventListener("input", function() {
+                    didChangeElement(element, keyPath);
+                });
+            }
+            else if (isFormElement) {
+                element.addEventListener("change", function() {
+                    didChangeElement(element, keyPath);
+                });
+            }
+        }
+
+        model = observable(values, didChangeValue);
+
+        // Display initial values in elements that display text only
+        for (let keyPath in elements) {
+            let elems = elements[keyPath];
+            for (let i = 0; i < elems.length; i++) {
+                if (!["INPUT", "SELECT", "TEXTAREA"].includes(elems[i].tagName)) {
+                    writeElement(elems[i], valueForKeyPath(model, keyPath));
+                }
+            }
+        }
+    }
+
+    init();
+}
+
+/**
+ * Provides protocol definition for a `UIWindow` controller.
+ *
+ * A `UIController` allows a `div.ui-window` to receive life-cycle events from the OS.
+ *
+ * All functions are optional. Therefore, implement only the functions needed.
+ */
+function UIController() {
+    /**
+     * Called directly after the window is added to DOM.
+     */
+    function viewDidLoad() { }
+
+    /**
+     * Called when the user closes the window e.g. with the window's close
+     * button.
+     *
+     * Return `false`, or a `Promise` that resolves to `false`, to keep the
+     * window open e.g. when the user chooses not to discard unsaved changes.
+     *
+     * @returns {bool|Promise<bool>}
+     */
+    function shouldCloseWindow() { }
+
+    /**
+     * Called directly before window is removed from DOM.
+     */
+    function viewWillUnload() { }
+
+    /**
+     * TODO: Called when controller becomes focused.
+     */
+    function viewDidFocus() { }
+
+    /**
+     * TODO: Called when controller goes out of focus.
      */
     function viewDidBlur() { }
+
+    /**
+     * Called when the desktop session is saved.
+     *
+     * Return state that is necessary to restore the window, such as the
+     * selected tab. The state must be JSON serializable.
+     *
+     * @returns {object?}
+     */
+    function encodeRestorableState() { }
+
+    /**
+     * Called when the window is restored after the page is reloaded.
+     *
+     * @param {object} state - State returned by `encodeRestorableState`
+     */
+    async function restoreState(state) { }
+
+    /**
+     * Called when the window is shown, if the app declares a route for the
+     * controller that records `history`.
+     *
+     * Return the parameters that reopen the window e.g. `{testSuiteId: 4}`.
+     *
+     * @returns {object?}
+     */
+    function routeParameters() { }
+}
+
+/** Dock **/
+
+/**
+ * Displays an icon for every installed application.
+ *
+ * Pinned apps are displayed first, in the order they were pinned. Apps that
+ * are running display an indicator. Apps may display a badge on their icon
+ * e.g. the number of unread messages.
+ *
+ * ```
+ * os.ui.dock.setBadge("io.bithead.test-manager", 3);
+ * ```
+ *
+ * Clicking an icon opens the app, or switches to it if it is running.
+ * Right-clicking an icon pins, or unpins, the app.
+ *
+ * The dock is displayed only if the desktop has a `#dock`.
+ *
+ * @param {OS} os - OS instance
+ * @param {ApplicationScopes} scopes - Accesses the dock's user defaults on behalf of the OS
+ */
+function UIDock(os, scopes) {
+
+    // Key of pinned app bundle IDs in the BOSS app's user defaults
+    const PINNED_KEY = "dock.pinned";
+
+    // {bundleId:string|number}
+    let badges = {};
+
+    function dock() {
+        return document.getElementById("dock");
+    }
+
+    function defaults() {
+        return scopes.system(function () {
+            return os.defaults("io.bithead.boss");
+        });
+    }
+
+    /**
+     * Returns bundle IDs of pinned apps, in the order they were pinned.
+     *
+     * @returns {[string]}
+     */
+    function pinned() {
+        return defaults().get(PINNED_KEY, []);
+    }
+    this.pinned = pinned;
+
+    /**
+     * Pin app to the front of the dock.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function pin(bundleId) {
+        let apps = pinned();
+        if (apps.includes(bundleId)) {
+            return;
+        }
+        defaults().set(PINNED_KEY, [...apps, bundleId]);
+        render();
+    }
+    this.pin = pin;
+
+    /**
+     * Unpin app.
+     *
+     * @param {string} bundleId - App bundle ID
+     */
+    function unpin(bundleId) {
+        defaults().set(PINNED_KEY, pinned().filter(id => id !== bundleId));
+        render();
+    }
+    this.unpin = unpin;
+
+    /**
+     * Set the badge displayed on an app's icon.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @param {string|number|null} value - Badge to display. `null`, or `0`, removes the badge.
+     */
+    function setBadge(bundleId, value) {
+        if (isEmpty(value) || value === 0) {
+            delete badges[bundleId];
+        }
+        else {
+            badges[bundleId] = value;
+        }
+        render();
+    }
+    this.setBadge = setBadge;
+
+    /**
+     * Returns the badge displayed on an app's icon, if any.
+     *
+     * @param {string} bundleId - App bundle ID
+     * @returns {string|number|null}
+     */
+    function badge(bundleId) {
+        return badges[bundleId] ?? null;
+    }
+    this.badge = badge;
+
+    /**
+     * Returns the apps displayed in the dock.
+     *
+     * @returns {[object{id:string,name:string,icon:string?}]}
+     */
+    function applications() {
+        let apps = {};
+        // Installed app names may contain their icon e.g. `img:/path/icon.svg,Name`
+        for (let app of os.installedApplications()) {
+            let name = app.name;
+            let icon = null;
+            if (name.startsWith("img:")) {
+                let parts = name.substring(4).split(",");
+                icon = parts.shift();
+                name = parts.join(",");
+            }
+            apps[app.id] = {id: app.id, name: name, icon: icon};
+        }
+        // Apps that are running, but not installed e.g. BOSSCode projects
+        for (let app of os.loadedApplications()) {
+            if (!app.system && !(app.bundleId in apps)) {
+                apps[app.bundleId] = {id: app.bundleId, name: app.name, icon: null};
+            }
+        }
+
+        let pins = pinned().filter(id => id in apps);
+        let others = Object.keys(apps).filter(id => !pins.includes(id));
+        return [...pins, ...others].map(id => apps[id]);
+    }
+
+    async function open(bundleId) {
+        if (os.loadedApplications().some(a => a.bundleId === bundleId)) {
+            os.switchApplication(bundleId);
+            os.ui.focusTopWindow();
+        }
+        else {
+            await os.openApplication(bundleId);
+        }
+    }
+
+    function makeIcon(app, running, isPinned) {
+        let div = document.createElement("div");
+        div.classList.add("dock-icon");
+        div.title = app.name;
+        if (running) {
+            div.classList.add("running");
+        }
+        if (isPinned) {
+            div.classList.add("pinned");
+        }
+
+        if (isEmpty(app.icon)) {
+            let letter = document.createElement("span");
+            letter.classList.add("letter");
+            letter.innerText = app.name.charAt(0);
+            div.appendChild(letter);
+        }
+        else {
+            let img = document.createElement("img");
+            img.src = app.icon;
+            div.appendChild(img);
+        }
+
+        if (app.id in badges) {
+            let span = document.createElement("span");
+            span.classList.add("badge");
+            span.innerText = `${badges[app.id]}`;
+            div.appendChild(span);
+        }
+
+        div.addEventListener("click", function () {
+            open(app.id);
+        });
+        div.addEventListener("contextmenu", function (event) {
+            event.preventDefault();
+            isPinned ? unpin(app.id) : pin(app.id);
+        });
+        return div;
+    }
+
+    /**
+     * Render the dock's icons.
+     */
+    function render() {
+        let elem = dock();
+        // Pinned apps belong to the signed in user
+        if (isEmpty(elem) || isEmpty(os.username)) {
+            return;
+        }
+        elem.innerHTML = "";
+        let running = os.loadedApplications().map(a => a.bundleId);
+        let pins = pinned();
+        for (let app of applications()) {
+            elem.appendChild(makeIcon(app, running.includes(app.id), pins.includes(app.id)));
+        }
+    }
+    this.render = render;
+
+    /**
+     * Update the dock when apps are opened, or closed.
+     */
+    function init() {
+        os.notifications.subscribe("io.bithead.boss.application.didOpen", render, "io.bithead.boss");
+        os.notifications.subscribe("io.bithead.boss.application.didClose", function (payload) {
+            delete badges[payload.bundleId];
+            render();
+        }, "io.bithead.boss");
+    }
+    this.init = init;
+}
+
+/** App Switcher **/
+
+/**
+ * Displays loaded apps, most recently used first, while switching between
+ * apps with the keyboard.
+ *
+ * The switcher is shown with `alt+s`. `alt+tab` is not used as desktops
+ * switch windows with it before the browser receives it. While `alt` is held:
+ * - `s`, or `tab`, highlights the next app. `shift+tab` the previous app.
+ * - `q` quits the highlighted app
+ * - `h` hides the highlighted app
+ * - `escape` dismisses the switcher
+ *
+ * Releasing `alt`, or pressing `enter`, switches to the highlighted app.
+ *
+ * @param {OS} os - OS instance
+ */
+function UIAppSwitcher(os) {
+
+    // The overlay, when shown
+    let overlay = null;
+
+    // Apps displayed in the switcher
+    let apps = [];
+
+    // Index of highlighted app
+    let selected = 0;
+
+    /**
+     * Returns `true` if the switcher is shown.
+     *
+     * @returns {bool}
+     */
+    function isVisible() {
+        return !isEmpty(overlay);
+    }
+    this.isVisible = isVisible;
+
+    function makeItem(app, index) {
+        let div = document.createElement("div");
+        div.classList.add("item");
+        if (index === selected) {
+            div.classList.add("selected");
+        }
+
+        if (isEmpty(app.icon)) {
+            let letter = document.createElement("span");
+            letter.classList.add("letter");
+            letter.innerText = app.name.charAt(0);
+            div.appendChild(letter);
+        }
+        else {
+            let img = document.createElement("img");
+            img.src = `/boss/app/${app.bundleId}/${app.icon}`;
+            div.appendChild(img);
+        }
+
+        let name = document.createElement("div");
+        name.classList.add("name");
+        name.innerText = app.name;
+        div.appendChild(name);
+
+        let count = os.ui.windows(app.bundleId).length;
+        let windows = document.createElement("div");
+        windows.classList.add("windows");
+        windows.innerText = count === 1 ? os.l10n.string("oneWindow") : os.l10n.string("windowCount", {count: count});
+        div.appendChild(windows);
+
+        div.addEventListener("click", function () {
+            selected = index;
+            pick();
+        });
+        return div;
+    }
+
+    function render() {
+        overlay.innerHTML = "";
+        let list = document.createElement("div");
+        list.classList.add("apps");
+        for (let i = 0; i < apps.length; i++) {
+            list.appendChild(makeItem(apps[i], i));
+        }
+        overlay.appendChild(list);
+
+        let hint = document.createElement("div");
+        hint.classList.add("hint");
+        hint.innerText = os.l10n.string("appSwitcherHint");
+        overlay.appendChild(hint);
+    }
+
+    /**
+     * Highlight the next, or previous, app.
+     *
+     * @param {number} offset - `1` highlights the next app. `-1` the previous app.
+     */
+    function move(offset) {
+        selected = (selected + offset + apps.length) % apps.length;
+        render();
+    }
+
+    /**
+     * Show the switcher.
+     *
+     * The app used before the active app is highlighted.
+     */
+    function show() {
+        if (isVisible()) {
+            move(1);
+            return;
+        }
+
+        apps = os.recentApplications().filter(a => !a.system);
+        if (apps.length === 0) {
+            return;
+        }
+        let active = os.activeApplication()?.bundleId;
+        selected = apps.length > 1 && apps[0].bundleId === active ? 1 : 0;
+
+        overlay = document.createElement("div");
+        overlay.id = "app-switcher";
+        (document.getElementById("desktop") ?? document.body).appendChild(overlay);
+        render();
+
+        // Capture keys before they are performed as shortcuts
+        window.addEventListener("keydown", didPressKey, true);
+        window.addEventListener("keyup", didReleaseKey, true);
+    }
+    this.show = show;
+
+    /**
+     * Dismiss the switcher without switching apps.
+     */
+    function hide() {
+        if (!isVisible()) {
+            return;
+        }
+        window.removeEventListener("keydown", didPressKey, true);
+        window.removeEventListener("keyup", didReleaseKey, true);
+        overlay.remove();
+        overlay = null;
+        apps = [];
+    }
+    this.hide = hide;
+
+    /**
+     * Switch to the highlighted app.
+     */
+    function pick() {
+        let app = apps[selected];
+        hide();
+        if (!isEmpty(app)) {
+            os.switchApplication(app.bundleId);
+        }
+    }
+
+    /**
+     * Remove the highlighted app from the switcher after it is quit, or hidden.
+     */
+    function removeSelected() {
+        apps.splice(selected, 1);
+        if (apps.length === 0) {
+            hide();
+            return;
+        }
+        selected = Math.min(selected, apps.length - 1);
+        render();
+    }
+
+    function didPressKey(event) {
+        let handled = true;
+        let key = event.key.toLowerCase();
+        if (key === "tab") {
+            move(event.shiftKey ? -1 : 1);
+        }
+        else if (key === "enter") {
+            pick();
+        }
+        else if (key === "escape") {
+            hide();
+        }
+        else if (event.code === "KeyQ") {
+            os.closeApplication(apps[selected].bundleId);
+            removeSelected();
+        }
+        else if (event.code === "KeyH") {
+            os.hideApplication(apps[selected].bundleId);
+            removeSelected();
+        }
+        else {
+            handled = false;
+        }
+        if (handled) {
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+
+    function didReleaseKey(event) {
+        if (event.key === "Alt") {
+            pick();
+        }
+    }
+}
+
+/** Drag and Drop **/
+
+/**
+ * Provides drag and drop between windows and applications.
+ *
+ * Drag sources provide a payload in the same form as a pasteboard item i.e.
+ * data for one, or more, types. Drop targets accept payloads with specific
+ * types.
+ *
+ * ```
+ * os.ui.dragAndDrop.makeDraggable(element, function () {
+ *     return {"io.bithead.test-manager.test-case": testCase};
+ * });
+ * os.ui.dragAndDrop.addDropTarget(editor, "io.bithead.test-manager.test-case", function (item) {
+ *     insertTestCase(item.data("io.bithead.test-manager.test-case"));
+ * });
+ * ```
+ *
+ * While dragging over a drop target, the target has the `drop-accept` class
+ * if it accepts the payload, and `drop-reject` otherwise.
+ *
+ * Drags from outside of BOSS provide `PasteboardType.text`, `html`, `image`,
+ * and `files` payloads.
+ *
+ * @param {OS} os - OS instance
+ */
+function UIDragAndDrop(os) {
+
+    // Item being dragged. `null` if nothing is being dragged, or the drag
+    // started outside of BOSS.
+    let dragItem = null;
+
+    /**
+     * Returns the types a drag from outside of BOSS may provide.
+     *
+     * The data is not available until the drop. Therefore, only the kind of
+     * data being dragged can be determined.
+     *
+     * @param {DataTransfer} dataTransfer
+     * @returns {string[]}
+     */
+    function externalTypes(dataTransfer) {
+        let kinds = Array.from(dataTransfer?.types ?? []);
+        let types = [];
+        if (kinds.includes("text/plain")) {
+            types.push(PasteboardType.text);
+        }
+        if (kinds.includes("text/html")) {
+            types.push(PasteboardType.html);
+        }
+        if (kinds.includes("Files")) {
+            types.push(PasteboardType.files, PasteboardType.image);
+        }
+        return types;
+    }
+
+    /**
+     * Make an element a drag source.
+     *
+     * @param {HTMLElement} element - Element to drag
+     * @param {object|function} payload - Data for each type, or a function that returns the data when the drag starts. Return `null` to prevent the drag.
+     */
+    function makeDraggable(element, payload) {
+        element.draggable = true;
+        element.addEventListener("dragstart", function (event) {
+            let representations = typeof payload === "function" ? payload(element) : payload;
+            if (isEmpty(representations)) {
+                event.preventDefault();
+                return;
+            }
+            let bundleId = element.closest(".ui-window")?.ui?.bundleId;
+            dragItem = new PasteboardItem(representations, bundleId);
+            event.dataTransfer.effectAllowed = "copyMove";
+            event.dataTransfer.setData("text/plain", dragItem.data(PasteboardType.text) ?? "");
+            element.classList.add("dragging");
+        });
+        element.addEventListener("dragend", function () {
+            element.classList.remove("dragging");
+            dragItem = null;
+        });
+    }
+    this.makeDraggable = makeDraggable;
+
+    /**
+     * Register an element as a drop target.
+     *
+     * @param {HTMLElement} element - Element that accepts drops
+     * @param {string|string[]} types - Pasteboard types the target accepts
+     * @param {function} fn - Called when an item is dropped `fn(PasteboardItem, DragEvent)`
+     * @param {function?} accept - Further refines which items are accepted `accept(PasteboardItem)`. Return `false` to reject the item. Only called for items dragged from within BOSS.
+     */
+    function addDropTarget(element, types, fn, accept) {
+        types = isString(types) ? [types] : types;
+
+        function canDrop(event) {
+            if (!isEmpty(dragItem)) {
+                return dragItem.has(types) && accept?.(dragItem) !== false;
+            }
+            return externalTypes(event.dataTransfer).some(t => types.includes(t));
+        }
+
+        function clearFeedback() {
+            element.classList.remove("drop-accept", "drop-reject");
+        }
+
+        element.addEventListener("dragover", function (event) {
+            // Nested drop targets take precedence
+            event.stopPropagation();
+            let accepted = canDrop(event);
+            element.classList.toggle("drop-accept", accepted);
+            element.classList.toggle("drop-reject", !accepted);
+            if (accepted) {
+                event.preventDefault();
+            }
+            event.dataTransfer.dropEffect = accepted ? "copy" : "none";
+        });
+        element.addEventListener("dragleave", function (event) {
+            // Moving over a child element also leaves the target
+            if (!element.contains(event.relatedTarget)) {
+                clearFeedback();
+            }
+        });
+        element.addEventListener("drop", function (event) {
+            clearFeedback();
+            if (!canDrop(event)) {
+                return;
+            }
+            event.preventDefault();
+            event.stopPropagation();
+            let item = dragItem ?? makePasteboardItem(event.dataTransfer);
+            if (isEmpty(item)) {
+                return;
+            }
+            try {
+                fn(item, event);
+            }
+            catch (error) {
+                console.error("Failed to drop item", error);
+            }
+        });
+    }
+    this.addDropTarget = addDropTarget;
 }
 
 function styleFolders() {
@@ -1775,6 +3248,10 @@ function UIFolder(folder) {
     // Previously selected file
     var selectedFile = null;
 
+    // The `span` displaying each row's label. Rows are dragged by their label.
+    // [object{li:span:}]
+    let rows = [];
+
     this.numFolders = 0;
 
     var files = folder.getElementsByTagName("li");
@@ -1813,6 +3290,8 @@ function UIFolder(folder) {
             li.appendChild(span);
         }
 
+        rows.push({li: file, span: span});
+
         // Change selected li
         span.addEventListener("click", function(e) {
             e.stopPropagation();
@@ -1827,9 +3306,32 @@ function UIFolder(folder) {
         });
     }
 
+    /**
+     * Make rows draggable.
+     *
+     * @param {function} fn - Returns the payload for a dragged row `fn(li)`. Return `null` to prevent the row from being dragged.
+     */
+    function setDragPayload(fn) {
+        for (let row of rows) {
+            os.ui.dragAndDrop.makeDraggable(row.span, function () {
+                return fn(row.li);
+            });
+        }
+    }
+    this.setDragPayload = setDragPayload;
+
+    folder.ui = this;
+
     return this;
 }
 
+function styleAllUIFolders(elem) {
+    let folders = elem.getElementsByClassName("ui-folder");
+    for (let i = 0; i < folders.length; i++) {
+        new UIFolder(folders[i]);
+    }
+}
+
 /**
  * Represents a Pop-up menu.
  *
@@ -2030,9 +3532,8 @@ function UIPopupMenu(select) {
                 let selectedLabel = this.parentNode.parentNode.previousSibling;
                 select.selectedIndex = j;
                 selectedLabel.innerHTML = this.innerHTML;
-                if (select.onchange !== null) {
-                    select.onchange();
-                }
+                // Calls `onchange`, and any other `change` listener
+                select.dispatchEvent(new Event("change"));
             });
             container.appendChild(choice);
         }
@@ -2197,6 +3698,25 @@ function UIMenu(select, container) {
         }
     }
     this.disableOption = disableOption;
+
+    /**
+     * Change the label of a menu option.
+     *
+     * @param {mixed} value - The value of the option to change
+     * @param {string} label - The new label
+     */
+    function setOptionLabel(value, label) {
+        for (let i = 0; i < select.options.length; i++) {
+            let option = select.options[i];
+            if (option.value == value) {
+                option.innerHTML = label;
+                option.ui.innerHTML = label;
+                os.ui.addKeyEquivalent(option.ui, option);
+                break;
+            }
+        }
+    }
+    this.setOptionLabel = setOptionLabel;
 }
 
 /**
@@ -2259,7 +3779,10 @@ function UIListBox(select, container) {
 
     let delegate = protocol(
         "UIListBoxDelegate", this, "delegate",
-        ["didSelectListBoxOption", "didDeselectListBoxOption"],
+        [
+            DelegateMethod("didSelectListBoxOption", false, 1),
+            DelegateMethod("didDeselectListBoxOption", false, 1)
+        ],
         // Allows delegate to update its UI immediately if an option
         // requires HTMLElements to be enabled/disabled.
         function () {
@@ -2272,6 +3795,32 @@ function UIListBox(select, container) {
     // Default action to take when an item in the list box is double tapped
     let defaultAction = null;
 
+    // Returns the drag payload for an option. Options are draggable only
+    // when this is set.
+    let dragPayload = null;
+
+    /**
+     * Make options draggable.
+     *
+     * @param {function} fn - Returns the payload for a dragged option `fn(HTMLOption)`. Return `null` to prevent the option from being dragged.
+     */
+    function setDragPayload(fn) {
+        dragPayload = fn;
+        for (let i = 0; i < select.options.length; i++) {
+            makeOptionDraggable(select.options[i]);
+        }
+    }
+    this.setDragPayload = setDragPayload;
+
+    function makeOptionDraggable(option) {
+        if (isEmpty(dragPayload) || isEmpty(option.ui) || option.ui.draggable) {
+            return;
+        }
+        os.ui.dragAndDrop.makeDraggable(option.ui, function () {
+            return dragPayload(option);
+        });
+    }
+
     /**
      * Set the default action to take when an option is double-tapped.
      *
@@ -2318,6 +3867,31 @@ function UIListBox(select, container) {
     }
     this.selectOption = selectOption;
 
+    /**
+     * Select options by their value.
+     *
+     * Use this only for multiple option select lists. Options not in
+     * `values` are deselected.
+     *
+     * @param {[string]} values - Values of options to select
+     */
+    function selectValues(values) {
+        if (!select.multiple) {
+            console.warn(`Attempting to select multiple values in single select list box (${select.name})`);
+            return;
+        }
+        let strValues = values.map(value => `${value}`);
+        for (let i = 0; i < select.options.length; i++) {
+            let opt = select.options[i];
+            opt.selected = strValues.includes(opt.value);
+            opt.ui.classList.remove("selected");
+            if (opt.selected) {
+                opt.ui.classList.add("selected");
+            }
+        }
+    }
+    this.selectValues = selectValues;
+
     function removeAllOptions() {
         // Remove all options from the select and facade
         for (;select.options.length > 0;) {
@@ -2486,6 +4060,7 @@ function UIListBox(select, container) {
             elem.classList.add(option.classList[j]);
         }
         option.ui = elem;
+        makeOptionDraggable(option);
 
         container.appendChild(elem);
         elem.addEventListener("mouseup", function(obj) {
@@ -2505,6 +4080,7 @@ function UIListBox(select, container) {
             else {
                 selectValue(option.value);
             }
+            select.dispatchEvent(new Event("change"));
         });
     }
 
@@ -2563,7 +4139,13 @@ function UITabs(select, container) {
 
     let delegate = protocol(
         "UITabsDelegate", this, "delegate",
-        ["didCloseTab", "didSelectTab"],
+        [
+            // Return `false`, or a `Promise` that resolves to `false`, to
+            // prevent the tab from closing.
+            DelegateMethod("shouldCloseTab", false, 1, true),
+            DelegateMethod("didCloseTab", false, 1),
+            DelegateMethod("didSelectTab", false, 1)
+        ],
         // Allows delegate to update its UI immediately if an option
         // requires HTMLElements to be enabled/disabled.
         function () {
@@ -2571,6 +4153,32 @@ function UITabs(select, container) {
         }
     );
 
+    // Returns the drag payload for a tab. Tabs are draggable only when this
+    // is set.
+    let dragPayload = null;
+
+    /**
+     * Make tabs draggable.
+     *
+     * @param {function} fn - Returns the payload for a dragged tab `fn(HTMLOption)`. Return `null` to prevent the tab from being dragged.
+     */
+    function setDragPayload(fn) {
+        dragPayload = fn;
+        for (let i = 0; i < select.options.length; i++) {
+            makeTabDraggable(select.options[i]);
+        }
+    }
+    this.setDragPayload = setDragPayload;
+
+    function makeTabDraggable(option) {
+        if (isEmpty(dragPayload) || isEmpty(option.ui) || option.ui.draggable) {
+            return;
+        }
+        os.ui.dragAndDrop.makeDraggable(option.ui, function () {
+            return dragPayload(option);
+        });
+    }
+
     /**
      * Select tab by value.
      *
@@ -2789,8 +4397,12 @@ function UITabs(select, container) {
             option.classList.remove("close-button");
             let button = document.createElement("div");
             button.classList.add("close-button");
-            button.addEventListener("click", function (e) {
+            button.addEventListener("click", async function (e) {
                 e.stopPropagation();
+                let shouldClose = await delegate.shouldCloseTab(option);
+                if (shouldClose === false) {
+                    return;
+                }
                 delegate.didCloseTab(option);
                 removeTabIndex(option.index);
                 selectTabIfNeeded();
@@ -2836,6 +4448,7 @@ function UITabs(select, container) {
             elem.classList.add(option.classList[j]);
         }
         option.ui = elem;
+        makeTabDraggable(option);
 
         container.appendChild(elem);
         elem.addEventListener("mouseup", function(obj) {